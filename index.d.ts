@@ -0,0 +1,478 @@
+// Type definitions for redux-entity
+
+/**
+ * Map of entity name to the type of its data. Declare your entities by
+ * augmenting it, and state.entities, loadEntity() and the selectors are typed
+ * accordingly:
+ *
+ *   declare module 'redux-entity' {
+ *       interface EntityDataMap {
+ *           orders: Order[];
+ *       }
+ *   }
+ */
+export interface EntityDataMap {}
+
+/**
+ * Data type of an entity: declared in EntityDataMap, or any
+ */
+export type DataOf<K> = K extends keyof EntityDataMap ? EntityDataMap[K] : any;
+
+/*
+ * State
+ */
+
+export type EntityStatus = 'idle' | 'loading' | 'refreshing' | 'success' | 'error';
+export type RecordOperation = 'create' | 'update' | 'remove' | 'upsert';
+export type ProcessorStage = 'transform' | 'transformError' | 'beforeSuccess' | 'afterSuccess' | 'beforeFailure' | 'afterFailure';
+export type ErrorKind = 'network' | 'timeout' | 'cancelled' | 'validation' | 'client' | 'server' | 'unknown';
+
+export interface PageState<TError = any> {
+    cursor: any;
+    isFetching: boolean;
+    error: TError | null;
+    count: number;
+}
+
+export interface PaginationState<TError = any> {
+    pages: Array<PageState<TError>>;
+    cursor: any;
+    nextCursor: any;
+    hasMore: boolean;
+    totalCount: number | null;
+}
+
+export interface RecordState<TError = any> {
+    isPending: boolean;
+    error: TError | null;
+    operation: RecordOperation;
+}
+
+export interface EntityState<TData = any, TError = any> {
+    isFetching: boolean;
+    lastUpdated: number | null;
+    data: TData | null;
+    error: TError | null;
+    requestId: number | null;
+    retryCount: number;
+    nextRetryAt: number | null;
+    isStale: boolean;
+    status: EntityStatus;
+    pagination: PaginationState<TError> | null;
+    records: { [recordKey: string]: RecordState<TError> };
+    polling: { interval: number } | null;
+    /**
+     * Entities loaded with the params option, keyed by getParamsKey(params).
+     * Such entities only have byParams.
+     */
+    byParams?: { [paramsKey: string]: EntityState<TData, TError> };
+}
+
+/**
+ * An entity loaded with the params option
+ */
+export type ParamsEntityState<TData = any, TError = any> = Required<Pick<EntityState<TData, TError>, 'byParams'>>;
+
+export interface NormalizedTable<TRecord = any> {
+    byId: { [id: string]: TRecord };
+    allIds: Array<string | number>;
+}
+
+export type EntitiesState = keyof EntityDataMap extends never
+    ? { [name: string]: EntityState }
+    : { [K in keyof EntityDataMap]?: EntityState<EntityDataMap[K]> } & {
+        '@@tables'?: { [type: string]: NormalizedTable };
+    };
+
+/*
+ * Actions
+ */
+
+export interface EntityAction {
+    type: string;
+    entity?: string;
+    [key: string]: any;
+}
+
+export type ActionCreator = (...args: any[]) => EntityAction;
+export type EntityDispatch = (action: any) => any;
+export type GetState = () => any;
+export type EntityThunk<R = void> = (dispatch: EntityDispatch, getState?: GetState) => R;
+
+/*
+ * Options
+ */
+
+export interface ProcessorContext {
+    stage: ProcessorStage | null;
+    dispatch: EntityDispatch;
+    getState: GetState | null;
+    entityName: string;
+    options: EntityOptions;
+    requestId: number;
+    signal?: AbortSignal;
+    startedAt: number | null;
+    settledAt: number | null;
+    duration: number | null;
+}
+
+export type Processor<T = any, R = any> = (dispatch: EntityDispatch, obj: T, context: ProcessorContext) => R | Promise<R>;
+
+export interface Processors<TData = any, TError = any> {
+    transform?: Processor<any, TData>;
+    transformError?: Processor<any, TError>;
+    beforeSuccess?: Processor<TData, boolean | void>;
+    afterSuccess?: Processor<TData>;
+    beforeFailure?: Processor<TError>;
+    afterFailure?: Processor<TError>;
+}
+
+export interface RetryOptions {
+    attempts?: number;
+    backoff?: 'fixed' | 'linear' | 'exponential' | ((retryCount: number, delay: number) => number);
+    delay?: number;
+    maxDelay?: number;
+    jitter?: boolean | number;
+    shouldRetry?: (error: any, retryCount: number) => boolean;
+}
+
+export interface PaginateOptions<TResponse = any> {
+    items?: (response: TResponse) => any[];
+    nextCursor?: (response: TResponse) => any;
+    totalCount?: (response: TResponse) => number | null;
+    hasMore?: (response: TResponse, nextCursor: any) => boolean;
+}
+
+export interface StoreOptions {
+    namespace?: string;
+    prefix?: string;
+    mountPoint?: string | ((state: any) => EntitiesState);
+}
+
+export interface EntityOptions<TData = any, TError = any> extends StoreOptions {
+    silent?: boolean;
+    append?: boolean;
+    schema?: EntitySchema | EntitySchema[];
+    dedupe?: boolean;
+    retry?: RetryOptions;
+    timeout?: number;
+    staleTime?: number;
+    ttl?: number;
+    force?: boolean;
+    keepDataOnError?: boolean;
+    normalizeError?: boolean | ((error: any) => TError);
+    paginate?: boolean | PaginateOptions;
+    params?: { [key: string]: any };
+    idAttribute?: string;
+    processors?: Processors<TData, TError>;
+    onProcessorError?: (error: any, context: ProcessorContext) => any;
+    dependsOn?: { [key: string]: LoadEntityThunk };
+}
+
+export interface MutateOptions<TData = any, TError = any> extends EntityOptions<TData, TError> {
+    optimisticData?: TData | ((data: TData | null) => TData);
+}
+
+export interface RecordOptions<TData = any, TError = any> extends EntityOptions<TData, TError> {
+    recordKey?: string | number;
+}
+
+export interface PollOptions<TData = any, TError = any> extends EntityOptions<TData, TError> {
+    interval: number;
+    pauseWhenHidden?: boolean;
+    stopOnError?: boolean;
+}
+
+export type PromiseFactory<T> = (signal?: AbortSignal, cursor?: any, dependencies?: { [key: string]: any }) => Promise<T>;
+
+/**
+ * Thunks returned by loadEntity() carry the entity they load
+ */
+export interface LoadEntityThunk extends EntityThunk<Promise<void>> {
+    entityName: string;
+    entityOptions: EntityOptions;
+}
+
+export interface LoadResult {
+    name: string | null;
+    status: EntityStatus;
+    data: any;
+    error: any;
+}
+
+/*
+ * Reducer
+ */
+
+export interface EntityReducerOptions {
+    namespace?: string;
+    prefix?: string;
+    initialEntityState?: { [key: string]: any };
+    entityReducers?: { [name: string]: (entity: EntityState | undefined, action: EntityAction) => EntityState | undefined };
+}
+
+export type EntitiesReducer = (state: EntitiesState | undefined, action: EntityAction) => EntitiesState;
+
+export const entities: EntitiesReducer & { createEntityReducer: typeof createEntityReducer };
+export function createEntityReducer(options?: EntityReducerOptions): EntitiesReducer;
+
+/*
+ * Thunks
+ */
+
+export function loadEntity<K extends string>(
+    name: K,
+    promise: Promise<any> | PromiseFactory<any>,
+    options?: EntityOptions<DataOf<K>>
+): LoadEntityThunk;
+
+export function loadEntities(thunks: Array<EntityThunk<any>>): EntityThunk<Promise<{ status: EntityStatus; results: LoadResult[] }>>;
+
+export function mutateEntity<K extends string>(
+    name: K,
+    promise: Promise<any> | PromiseFactory<any>,
+    options?: MutateOptions<DataOf<K>>
+): EntityThunk<Promise<void>>;
+
+export function cancelEntity(name: string, options?: StoreOptions & { params?: object }): EntityThunk;
+export function loadNextPage(name: string, options?: { namespace?: string; params?: object }): EntityThunk<Promise<void>>;
+
+export function createRecord(name: string, promise: Promise<any> | PromiseFactory<any>, options?: RecordOptions): EntityThunk<Promise<void>>;
+export function updateRecord(name: string, id: string | number, promise: Promise<any> | PromiseFactory<any>, options?: RecordOptions): EntityThunk<Promise<void>>;
+export function removeRecord(name: string, id: string | number, promise: Promise<any> | PromiseFactory<any>, options?: RecordOptions): EntityThunk<Promise<void>>;
+export function upsertRecords(name: string, promise: Promise<any> | PromiseFactory<any>, options?: RecordOptions): EntityThunk<Promise<void>>;
+
+export function pollEntity<K extends string>(
+    name: K,
+    factory: PromiseFactory<any>,
+    options: PollOptions<DataOf<K>>
+): EntityThunk<{ stop(): void }>;
+export function stopPolling(name: string, options?: { namespace?: string; params?: object }): EntityThunk;
+
+/*
+ * Action creators
+ */
+
+export interface EntityActionCreators {
+    resetEntity(entity: string, lastUpdated: number): EntityAction;
+    deleteEntity(entity: string): EntityAction;
+    invalidateEntity(entity: string): EntityAction;
+    cancelEntity(entity: string, requestId: number): EntityAction;
+    resetPagination(entity: string): EntityAction;
+    resetEntityByParams(entity: string, params: object, lastUpdated: number): EntityAction;
+    deleteEntityByParams(entity: string, params: object): EntityAction;
+    loadEntityAction(entity: string, request?: any, options?: EntityOptions): EntityAction;
+    rehydrateEntities(entities: EntitiesState, tables?: object): EntityAction;
+    hydrateEntities(entities: EntitiesState, tables: object | undefined, lastUpdated: number): EntityAction;
+    makeActionCreator(type: string, ...keys: string[]): ActionCreator;
+    makeEntityActionCreator(type: string, entity: string, ...keys: string[]): ActionCreator;
+    [creator: string]: (...args: any[]) => any;
+}
+
+export function createActionCreators(namespace?: string, prefix?: string): EntityActionCreators;
+
+/**
+ * Build an action creator whose arguments become the given keys of the action
+ */
+export function makeActionCreator(type: string, ...keys: string[]): ActionCreator;
+/**
+ * Like makeActionCreator(), for actions of the given entity
+ */
+export function makeEntityActionCreator(type: string, entity: string, ...keys: string[]): ActionCreator;
+
+export function resetEntity(entity: string, lastUpdated: number): EntityAction;
+export function deleteEntity(entity: string): EntityAction;
+export function invalidateEntity(entity: string): EntityAction;
+export function resetPagination(entity: string): EntityAction;
+export function resetEntityByParams(entity: string, params: object, lastUpdated: number): EntityAction;
+export function deleteEntityByParams(entity: string, params: object): EntityAction;
+export function loadEntityAction(entity: string, request?: any, options?: EntityOptions): EntityAction;
+export function rehydrateEntities(entities: EntitiesState, tables?: object): EntityAction;
+
+/*
+ * Action types
+ */
+
+export type ActionTypeName = 'FETCH_REQUEST' | 'FETCH_SUCCESS' | 'FETCH_FAILURE' | 'FETCH_RETRY' | 'RESET_ENTITY' | 'DELETE_ENTITY'
+    | 'CANCEL_ENTITY' | 'INVALIDATE_ENTITY' | 'OPTIMISTIC_UPDATE' | 'RESET_PAGINATION' | 'RECORD_REQUEST' | 'RECORD_SUCCESS'
+    | 'RECORD_FAILURE' | 'POLL_START' | 'POLL_STOP' | 'LOAD_ENTITY' | 'PROCESSOR_ERROR' | 'REHYDRATE_ENTITIES' | 'HYDRATE_ENTITIES';
+
+export const ACTION_TYPES: { [T in ActionTypeName]: string };
+export const ERROR_KIND: {
+    NETWORK: 'network';
+    TIMEOUT: 'timeout';
+    CANCELLED: 'cancelled';
+    VALIDATION: 'validation';
+    CLIENT: 'client';
+    SERVER: 'server';
+    UNKNOWN: 'unknown';
+};
+
+export function getActionTypes(namespace?: string, prefix?: string): { [T in ActionTypeName]: string };
+export function isEntityAction(action: any, prefix?: string): boolean;
+export function getEntityActionType(action: any, prefix?: string): ActionTypeName | null;
+
+/*
+ * Selectors
+ */
+
+export interface CombinedEntities {
+    data: { [name: string]: any };
+    isFetching: boolean;
+    error: any;
+    isLoaded: boolean;
+}
+
+export interface EntitySelectors {
+    getEntities(state: any): EntitiesState;
+    getEntity<K extends string>(state: any, name: K, params?: object): EntityState<DataOf<K>> | undefined;
+    getEntityData<K extends string>(state: any, name: K, params?: object): DataOf<K> | null;
+    isEntityFetching(state: any, name: string, params?: object): boolean;
+    getEntityError(state: any, name: string, params?: object): any;
+    getEntityLastUpdated(state: any, name: string, params?: object): number | null;
+    isEntityLoaded(state: any, name: string, params?: object): boolean;
+    makeCombinedSelector(names: string[]): (state: any) => CombinedEntities;
+    getDenormalizedEntity<K extends string>(state: any, name: K, schema: EntitySchema | EntitySchema[], params?: object): DataOf<K> | null;
+    getRecordById(state: any, schema: EntitySchema, id: string | number): any;
+    getAllRecords(state: any, schema: EntitySchema): any[];
+}
+
+export function createSelectors(mountPoint?: string | ((state: any) => EntitiesState)): EntitySelectors;
+
+export const getEntity: EntitySelectors['getEntity'];
+export const getEntityData: EntitySelectors['getEntityData'];
+export const isEntityFetching: EntitySelectors['isEntityFetching'];
+export const getEntityError: EntitySelectors['getEntityError'];
+export const getEntityLastUpdated: EntitySelectors['getEntityLastUpdated'];
+export const isEntityLoaded: EntitySelectors['isEntityLoaded'];
+export const makeCombinedSelector: EntitySelectors['makeCombinedSelector'];
+export const getDenormalizedEntity: EntitySelectors['getDenormalizedEntity'];
+export const getRecordById: EntitySelectors['getRecordById'];
+export const getAllRecords: EntitySelectors['getAllRecords'];
+
+export function getParamsKey(params: object): string;
+
+/*
+ * Normalization
+ */
+
+export class EntitySchema {
+    constructor(
+        type: string,
+        relations?: { [property: string]: EntitySchema | EntitySchema[] },
+        options?: { idAttribute?: string | ((record: any) => string | number) }
+    );
+    getType(): string;
+    getRelations(): { [property: string]: EntitySchema | EntitySchema[] };
+    getId(record: any): string | number;
+}
+
+/*
+ * Errors and processors
+ */
+
+export interface NormalizedError {
+    message: string | null;
+    name: string | null;
+    status: number | null;
+    code: any;
+    kind: ErrorKind;
+    details: any;
+}
+
+export function normalizeError(error: any): NormalizedError;
+export function classifyError(error: any): ErrorKind;
+
+export class TimeoutError extends Error {
+    constructor(timeout: number);
+    timeout: number;
+}
+
+export function addGlobalProcessor(stage: ProcessorStage, processor: Processor): () => void;
+
+/*
+ * Defining entities
+ */
+
+export interface EntityDefinition<TData = any, TRequest = any> {
+    name: string;
+    options: EntityOptions<TData>;
+    load(request?: TRequest, overrides?: EntityOptions<TData>): LoadEntityThunk;
+    reset(params?: object): EntityAction;
+    delete(params?: object): EntityAction;
+    invalidate(params?: object): EntityAction;
+    cancel(params?: object): EntityThunk;
+    getEntity(state: any, params?: object): EntityState<TData> | undefined;
+    getData(state: any, params?: object): TData | null;
+    isFetching(state: any, params?: object): boolean;
+    getError(state: any, params?: object): any;
+    getLastUpdated(state: any, params?: object): number | null;
+    isLoaded(state: any, params?: object): boolean;
+    getDenormalized(state: any, params?: object): TData | null;
+}
+
+export type Fetcher<TData = any, TRequest = any> = (
+    request: TRequest,
+    signal?: AbortSignal,
+    cursor?: any,
+    dependencies?: { [key: string]: any }
+) => Promise<TData>;
+
+export function defineEntity<K extends string, TRequest = any>(
+    name: K,
+    definition: {
+        fetch: Fetcher<any, TRequest>;
+        options?: EntityOptions<DataOf<K>>;
+        schema?: EntitySchema | EntitySchema[];
+        ttl?: number;
+    }
+): EntityDefinition<DataOf<K>, TRequest>;
+export function getEntityDefinition<K extends string>(name: K, namespace?: string): EntityDefinition<DataOf<K>>;
+
+/*
+ * Middleware
+ */
+
+export type EntityMiddleware = (api: { dispatch: EntityDispatch; getState: GetState }) => (next: EntityDispatch) => EntityDispatch;
+
+export const entityMiddleware: EntityMiddleware;
+export function createEntityMiddleware(options?: StoreOptions & { fetchers?: { [name: string]: Fetcher } }): EntityMiddleware;
+export function registerFetcher(name: string, fetcher: Fetcher, namespace?: string): void;
+
+/*
+ * Persistence
+ */
+
+export interface StorageAdapter {
+    getItem(key: string): any;
+    setItem(key: string, value: any): any;
+    removeItem?(key: string): any;
+}
+
+export interface PersistenceOptions extends StoreOptions {
+    storage: StorageAdapter;
+    entities: { [name: string]: true | { maxAge?: number } };
+    key?: string;
+    version?: number;
+    migrations?: { [version: number]: (entities: { [name: string]: any }) => { [name: string]: any } };
+    tables?: boolean;
+    onError?: (error: any) => void;
+}
+
+export interface Persistence {
+    middleware: EntityMiddleware;
+    rehydrate(): EntityThunk<Promise<{ [name: string]: EntityState }>>;
+    purge(): Promise<void>;
+}
+
+export function createPersistence(options: PersistenceOptions): Persistence;
+export function createMemoryStorage(): StorageAdapter;
+export function createWebStorage(webStorage?: { getItem(key: string): string | null; setItem(key: string, value: string): void; removeItem(key: string): void }): StorageAdapter;
+
+/*
+ * Server-side rendering
+ */
+
+export function prefetchEntities(store: { dispatch: EntityDispatch }, thunks: any[]): Promise<any[]>;
+export function dehydrate(state: any, mountPoint?: string | ((state: any) => EntitiesState)): EntitiesState;
+export function hydrate(dehydrated: EntitiesState, options?: { namespace?: string; prefix?: string }): EntityAction;
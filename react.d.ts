@@ -0,0 +1,33 @@
+// Type definitions for redux-entity/react
+
+import { ReactNode, ReactElement } from 'react';
+import { DataOf, EntityOptions, EntityState, EntityStatus, PromiseFactory, EntitiesState } from './index';
+
+export interface UseEntityResult<TData = any, TError = any> {
+    data: TData | null;
+    error: TError | null;
+    isFetching: boolean;
+    status: EntityStatus;
+    reload(): Promise<void>;
+}
+
+export function useEntity<K extends string>(
+    name: K,
+    loader: PromiseFactory<any>,
+    deps?: ReadonlyArray<any>,
+    options?: EntityOptions<DataOf<K>>
+): UseEntityResult<DataOf<K>>;
+
+type RenderProp<TArgs extends any[]> = ReactNode | ((...args: TArgs) => ReactNode);
+
+export interface EntityBoundaryProps<K extends string> {
+    name: K;
+    params?: object;
+    mountPoint?: string | ((state: any) => EntitiesState);
+    loading?: RenderProp<[EntityState<DataOf<K>> | undefined]>;
+    error?: RenderProp<[any, EntityState<DataOf<K>>]>;
+    empty?: RenderProp<[EntityState<DataOf<K>>]>;
+    children?: RenderProp<[DataOf<K>, EntityState<DataOf<K>>]>;
+}
+
+export function EntityBoundary<K extends string>(props: EntityBoundaryProps<K>): ReactElement | null;
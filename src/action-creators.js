@@ -1,49 +1,323 @@
 'use strict';
 
 const { makeActionCreator, makeEntityActionCreator } = require('./common/action-creators');
-const { ACTION_TYPES, ENTITY_PROPS, ACTION_PROPS } = require('./common/entity-const');
+const { getActionTypes } = require('./common/action-types');
+const { ENTITY_PROPS, ACTION_PROPS } = require('./common/entity-const');
+const { getParamsKey, withParamsKey } = require('./common/params');
 
-module.exports = {
-    resetEntity            : makeActionCreator(ACTION_TYPES.RESET_ENTITY, ACTION_PROPS.ENTITY, ENTITY_PROPS.LAST_UPDATED),
-    deleteEntity           : makeActionCreator(ACTION_TYPES.DELETE_ENTITY, ACTION_PROPS.ENTITY),
-    makeActionCreator      : makeActionCreator,
-    makeEntityActionCreator: makeEntityActionCreator,
-    /**
-     * Action creator for fetch requests
-     * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
-     * @return {function}           Action creator
-     */
-    fetchRequest           : (entity) => {
-        return makeEntityActionCreator(
-            ACTION_TYPES.FETCH_REQUEST,
-            entity
-        );
-    },
-    /**
-     * Action creator for API fetch successes
-     * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
-     * @return {function}           Action creator
-     */
-    fetchSuccess: (entity) => {
-        return makeEntityActionCreator(
-            ACTION_TYPES.FETCH_SUCCESS,
-            entity,
-            ENTITY_PROPS.DATA,
-            ENTITY_PROPS.LAST_UPDATED,
-            ACTION_PROPS.APPEND
-        );
-    },
-    /**
-     * Action creator for API fetch failures
-     * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
-     * @return {function}           Action creator
-     */
-    fetchFailure: (entity) => {
-        return makeEntityActionCreator(
-            ACTION_TYPES.FETCH_FAILURE,
-            entity,
-            ENTITY_PROPS.ERROR,
-            ENTITY_PROPS.LAST_UPDATED
-        );
-    }
-};
+const cache = {};
+
+/**
+ * Build the action creators of an entity store. Stores created with a
+ * namespace or prefix dispatch matching action types (see createEntityReducer).
+ * @param  {string} namespace   Store namespace, if any
+ * @param  {string} prefix      Action type prefix, if not the default
+ * @return {object}             Action creators
+ */
+function createActionCreators (namespace, prefix) {
+    const types = getActionTypes(namespace, prefix);
+    const key = types.FETCH_REQUEST;
+    if (cache[key]) return cache[key];
+    cache[key] = {
+        resetEntity            : makeActionCreator(types.RESET_ENTITY, ACTION_PROPS.ENTITY, ENTITY_PROPS.LAST_UPDATED),
+        deleteEntity           : makeActionCreator(types.DELETE_ENTITY, ACTION_PROPS.ENTITY),
+        invalidateEntity       : makeActionCreator(types.INVALIDATE_ENTITY, ACTION_PROPS.ENTITY),
+        cancelEntity           : makeActionCreator(types.CANCEL_ENTITY, ACTION_PROPS.ENTITY, ENTITY_PROPS.REQUEST_ID),
+        resetPagination        : makeActionCreator(types.RESET_PAGINATION, ACTION_PROPS.ENTITY),
+        makeActionCreator      : makeActionCreator,
+        makeEntityActionCreator: makeEntityActionCreator,
+        /**
+         * Action creator for fetch requests
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchRequest           : (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_REQUEST,
+                entity,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for requests of a single page of a paginated entity.
+         * The page is { cursor }, where the first page's cursor is null.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchRequestPage: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_REQUEST,
+                entity,
+                ENTITY_PROPS.REQUEST_ID,
+                ACTION_PROPS.PAGE
+            );
+        },
+        /**
+         * Action creator for API fetch successes
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchSuccess: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_SUCCESS,
+                entity,
+                ENTITY_PROPS.DATA,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.APPEND,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for API fetch successes whose data was normalized against
+         * a schema. The data is the normalized result (an id, or list of ids), and
+         * the tables hold the flattened records keyed by type.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchSuccessNormalized: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_SUCCESS,
+                entity,
+                ENTITY_PROPS.DATA,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.APPEND,
+                ACTION_PROPS.TABLES,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for API fetch successes of a single page. The page is
+         * { cursor, nextCursor, hasMore, totalCount }, and tables are only set
+         * when the page was normalized against a schema.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchSuccessPage: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_SUCCESS,
+                entity,
+                ENTITY_PROPS.DATA,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.APPEND,
+                ACTION_PROPS.TABLES,
+                ACTION_PROPS.PAGE,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for retries of failed fetches
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchRetry: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_RETRY,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.RETRY_COUNT,
+                ENTITY_PROPS.NEXT_RETRY_AT,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for optimistic updates, applied while a mutation is pending
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        optimisticUpdate: (entity) => {
+            return makeEntityActionCreator(
+                types.OPTIMISTIC_UPDATE,
+                entity,
+                ENTITY_PROPS.DATA,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for failed mutations. Rather than clearing the data,
+         * the reducer restores the snapshot taken before the mutation.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchFailureRollback: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_FAILURE,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.ROLLBACK,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for API fetch failures that leave the existing data in place
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchFailureKeepData: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_FAILURE,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.KEEP_DATA,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for API fetch failures of a single page
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchFailurePage: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_FAILURE,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.LAST_UPDATED,
+                ACTION_PROPS.KEEP_DATA,
+                ACTION_PROPS.PAGE,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for API fetch failures
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        fetchFailure: (entity) => {
+            return makeEntityActionCreator(
+                types.FETCH_FAILURE,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.LAST_UPDATED,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for pending changes to individual records of an entity
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        recordRequest: (entity) => {
+            return makeEntityActionCreator(
+                types.RECORD_REQUEST,
+                entity,
+                ACTION_PROPS.OPERATION,
+                ACTION_PROPS.RECORD_KEY,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for changes to individual records. The data holds the
+         * changed records (or their ids, if normalized), and ids the id of each;
+         * tables are only set when the records were normalized against a schema.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        recordSuccess: (entity) => {
+            return makeEntityActionCreator(
+                types.RECORD_SUCCESS,
+                entity,
+                ACTION_PROPS.OPERATION,
+                ACTION_PROPS.RECORD_KEY,
+                ENTITY_PROPS.DATA,
+                ACTION_PROPS.IDS,
+                ACTION_PROPS.ID_ATTRIBUTE,
+                ACTION_PROPS.TABLES,
+                ENTITY_PROPS.LAST_UPDATED,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for failed changes to individual records
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        recordFailure: (entity) => {
+            return makeEntityActionCreator(
+                types.RECORD_FAILURE,
+                entity,
+                ACTION_PROPS.OPERATION,
+                ACTION_PROPS.RECORD_KEY,
+                ENTITY_PROPS.ERROR,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for errors thrown by processors, or while dispatching
+         * the outcome of a request. Settles the request without failing the entity.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {function}           Action creator
+         */
+        processorError: (entity) => {
+            return makeEntityActionCreator(
+                types.PROCESSOR_ERROR,
+                entity,
+                ENTITY_PROPS.ERROR,
+                ACTION_PROPS.STAGE,
+                ENTITY_PROPS.REQUEST_ID
+            );
+        },
+        /**
+         * Action creator for loads handled by the entity middleware. Unlike the
+         * loadEntity() thunk, the action is serializable: the middleware looks
+         * up the entity's fetcher, and calls it with the request.
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @param  {*}      request     Argument of the entity's fetcher (e.g. { customerId: 7 })
+         * @param  {object} options     Configuration options object (see loadEntity)
+         * @return {object}             Action
+         */
+        loadEntityAction   : makeActionCreator(types.LOAD_ENTITY, ACTION_PROPS.ENTITY, ACTION_PROPS.REQUEST, ACTION_PROPS.OPTIONS),
+        /**
+         * Action creator for the start of polling
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @param  {number} interval    Milliseconds between polls
+         * @return {object}             Action
+         */
+        pollStart          : makeActionCreator(types.POLL_START, ACTION_PROPS.ENTITY, ACTION_PROPS.INTERVAL),
+        /**
+         * Action creator for the end of polling
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @return {object}             Action
+         */
+        pollStop           : makeActionCreator(types.POLL_STOP, ACTION_PROPS.ENTITY),
+        /**
+         * Reset the entity loaded with the given params
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @param  {object} params      Params the entity was loaded with
+         * @param  {number} lastUpdated
+         * @return {object}             Action
+         */
+        resetEntityByParams: (entity, params, lastUpdated) => {
+            return withParamsKey(cache[key].resetEntity(entity, lastUpdated), getParamsKey(params));
+        },
+        /**
+         * Delete the entity loaded with the given params, leaving those of other params
+         * @param  {string} entity      Entity name (e.g. 'users', 'orders', 'foobar')
+         * @param  {object} params      Params the entity was loaded with
+         * @return {object}             Action
+         */
+        deleteEntityByParams: (entity, params) => {
+            return withParamsKey(cache[key].deleteEntity(entity), getParamsKey(params));
+        },
+        /**
+         * Restore entities saved by a previous session (see createPersistence)
+         * @param  {object} entities    Entity states, keyed by entity name
+         * @param  {object} tables      Normalized tables, if saved
+         * @return {object}             Action
+         */
+        rehydrateEntities: makeActionCreator(types.REHYDRATE_ENTITIES, ACTION_PROPS.ENTITIES, ACTION_PROPS.TABLES),
+        /**
+         * Restore entities loaded on the server (see dehydrate), marking those
+         * that loaded successfully as fresh
+         * @param  {object} entities    Entity states, keyed by entity name
+         * @param  {object} tables      Normalized tables, if any
+         * @param  {number} lastUpdated Time of hydration
+         * @return {object}             Action
+         */
+        hydrateEntities  : makeActionCreator(types.HYDRATE_ENTITIES, ACTION_PROPS.ENTITIES, ACTION_PROPS.TABLES, ENTITY_PROPS.LAST_UPDATED)
+    };
+    return cache[key];
+}
+
+module.exports = Object.assign(createActionCreators(), { createActionCreators });
@@ -0,0 +1,28 @@
+'use strict';
+
+const { createActionCreators } = require('./action-creators');
+const registry = require('./common/request-registry');
+const { getParamsKey, withParamsKey } = require('./common/params');
+
+/**
+ * Redux thunk action creator for cancelling an entity's in-flight load. The
+ * pending result is dropped, and the request is aborted if it was started
+ * from a promise factory.
+ *
+ * @param {string} name         Entity name
+ * @param {object} options      { namespace, prefix } of the entity's store, and the
+ *                              params the entity was loaded with, if any
+ * @return {function}           Cancel the pending load, dispatch CANCEL_ENTITY
+ */
+module.exports = function cancelEntity (name, options) {
+    if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+    const { namespace, prefix, params } = options || {};
+    const paramsKey = params ? getParamsKey(params) : null;
+    return (dispatch) => {
+        registry.cancel(dispatch, registry.getKey(name, namespace, paramsKey));
+        dispatch(withParamsKey(
+            createActionCreators(namespace, prefix).cancelEntity(name, registry.nextRequestId()),
+            paramsKey
+        ));
+    };
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+const { ACTION_TYPES, DEFAULT_ACTION_PREFIX } = require('./entity-const');
+
+const BASE_TYPES = Object.keys(ACTION_TYPES);
+const cache = {};
+
+/**
+ * Types of actions covering several entities, which have no entity property
+ */
+const MULTI_ENTITY_TYPES = ['REHYDRATE_ENTITIES', 'HYDRATE_ENTITIES'];
+
+/**
+ * Get the action types used by an entity store. Every type is prefixed
+ * (e.g. '@@redux-entity/FETCH_SUCCESS') to avoid collisions with application
+ * actions. Stores created with a namespace add it to the prefix
+ * (e.g. '@@redux-entity/admin/FETCH_SUCCESS'), so that several stores can
+ * coexist without reacting to each other's actions.
+ *
+ * @param  {string} namespace   Store namespace, if any
+ * @param  {string} prefix      Action type prefix; pass '' for bare types
+ * @return {object}             Action types, keyed like ACTION_TYPES
+ */
+function getActionTypes (namespace, prefix) {
+    if (namespace && typeof namespace !== 'string') throw new Error('Expected namespace to be a string');
+    if (prefix === undefined || prefix === null) prefix = DEFAULT_ACTION_PREFIX;
+    if (typeof prefix !== 'string') throw new Error('Expected prefix to be a string');
+    const key = `${prefix}|${namespace || ''}`;
+    if (!cache[key]) {
+        cache[key] = BASE_TYPES.reduce((types, type) => {
+            types[type] = [prefix, namespace, type].filter(segment => segment).join('/');
+            return types;
+        }, {});
+    }
+    return cache[key];
+}
+
+/**
+ * Get the unprefixed type of an entity action (e.g. 'FETCH_SUCCESS'),
+ * whatever the namespace of the store that dispatched it.
+ *
+ * @param  {object} action      Redux action
+ * @param  {string} prefix      Action type prefix, if not the default
+ * @return {string}             One of the keys of ACTION_TYPES, or null
+ */
+function getEntityActionType (action, prefix) {
+    if (!action || typeof action.type !== 'string') return null;
+    if (prefix === undefined || prefix === null) prefix = DEFAULT_ACTION_PREFIX;
+    if (prefix && action.type.indexOf(`${prefix}/`) !== 0) return null;
+    const type = action.type.slice(action.type.lastIndexOf('/') + 1);
+    if (MULTI_ENTITY_TYPES.indexOf(type) !== -1) return type;
+    return typeof action.entity === 'string' && BASE_TYPES.indexOf(type) !== -1 ? type : null;
+}
+
+module.exports = {
+    getActionTypes,
+    getEntityActionType,
+    /**
+     * Whether an action was dispatched by redux-entity
+     * @param  {object} action      Redux action
+     * @param  {string} prefix      Action type prefix, if not the default
+     * @return {boolean}
+     */
+    isEntityAction (action, prefix) {
+        return getEntityActionType(action, prefix) !== null;
+    }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+const { BOUNDARY_STATE, STATUS } = require('./entity-const');
+
+/**
+ * Decide what to render for an entity (see EntityBoundary). Data that's kept
+ * on screen by keepDataOnError, or while refreshing, is rendered as is. An
+ * entity that settled without data, e.g. its first load was cancelled, is
+ * empty rather than loading.
+ * @param  {object} entity      Entity state, if any
+ * @return {string}             One of BOUNDARY_STATE
+ */
+function getBoundaryState (entity) {
+    if (!entity) return BOUNDARY_STATE.LOADING;
+    if (__isEmpty(entity.data)) {
+        if (entity.isFetching || entity.status === STATUS.LOADING) return BOUNDARY_STATE.LOADING;
+        return entity.error ? BOUNDARY_STATE.ERROR : BOUNDARY_STATE.EMPTY;
+    }
+    return BOUNDARY_STATE.DATA;
+}
+
+function __isEmpty (data) {
+    return data === null || data === undefined || (Array.isArray(data) && !data.length);
+}
+
+module.exports = {
+    getBoundaryState
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+const { createSelectors } = require('./../selectors');
+
+/**
+ * Loads the prerequisites of an entity (see the dependsOn option). Each
+ * prerequisite is a loadEntity() thunk, dispatched as is: its own staleTime,
+ * ttl and dedupe options decide whether data already loaded is reused, or a
+ * load in flight is awaited.
+ */
+module.exports = {
+    /**
+     * Tag a thunk with the entity it loads, so that it can be used as a
+     * prerequisite, and its outcome read back from state
+     * @param  {function} thunk
+     * @param  {string}   name       Entity name
+     * @param  {object}   options    Configuration options object
+     * @return {function}            The thunk
+     */
+    describe (thunk, name, options) {
+        thunk.entityName = name;
+        thunk.entityOptions = options || {};
+        return thunk;
+    },
+    /**
+     * @param  {*}       thunk
+     * @return {boolean}            Whether the thunk was created by loadEntity()
+     */
+    isDescribed (thunk) {
+        return typeof thunk === 'function' && typeof thunk.entityName === 'string';
+    },
+    /**
+     * Read the entity a tagged thunk loads
+     * @param  {function} thunk
+     * @param  {function} getState
+     * @return {object}             Entity state, or undefined
+     */
+    getEntity (thunk, getState) {
+        const options = thunk.entityOptions;
+        return createSelectors(options.mountPoint).getEntity(getState(), thunk.entityName, options.params);
+    },
+    /**
+     * Load the prerequisites, and resolve with their data under the same keys.
+     * Rejects with the error of the first prerequisite that fails to load.
+     * @param  {object}   dependsOn     loadEntity() thunks, by key
+     * @param  {function} dispatch
+     * @param  {function} getState
+     * @return {Promise}
+     */
+    load (dependsOn, dispatch, getState) {
+        if (typeof getState !== 'function') return Promise.reject(new Error('dependsOn requires getState'));
+        const keys = Object.keys(dependsOn);
+        return Promise.all(keys.map(key => __load(dependsOn[key], dispatch, getState)))
+            .then(values => keys.reduce((dependencies, key, index) => {
+                dependencies[key] = values[index];
+                return dependencies;
+            }, {}));
+    }
+};
+
+function __load (thunk, dispatch, getState) {
+    return Promise.resolve(dispatch(thunk)).then(() => {
+        const entity = module.exports.getEntity(thunk, getState);
+        if (entity && entity.error) throw entity.error;
+        if (!entity || !entity.lastUpdated) throw new Error(`Dependency "${thunk.entityName}" did not load`);
+        return entity.data;
+    });
+}
@@ -1,9 +1,33 @@
 'use strict';
 
+const RetryPolicy = require('./retry-policy');
+const Paginator = require('./paginator');
+const { getParamsKey } = require('./params');
+const { normalizeError } = require('./errors');
+const { FRESHNESS, DEFAULT_MOUNT_POINT, DEFAULT_ACTION_PREFIX } = require('./entity-const');
+
 function EntityConfiguration (options) {
     this.processors = {};
+    this.processorErrorHandler = null;
     this.silent = false;
     this.append = false;
+    this.schema = null;
+    this.dedupe = false;
+    this.retry = new RetryPolicy();
+    this.timeout = null;
+    this.staleTime = null;
+    this.ttl = null;
+    this.force = false;
+    this.keepDataOnError = false;
+    this.errorNormalizer = null;
+    this.paginator = null;
+    this.dependencies = null;
+    this.idAttribute = 'id';
+    this.params = null;
+    this.paramsKey = null;
+    this.namespace = null;
+    this.prefix = DEFAULT_ACTION_PREFIX;
+    this.mountPoint = DEFAULT_MOUNT_POINT;
 
     if (options) {
         this.__init(options);
@@ -12,20 +36,126 @@ function EntityConfiguration (options) {
 
 EntityConfiguration.prototype.__init = function (options) {
     if (options.processors) this.processors = options.processors;
+    if (options.onProcessorError) this.processorErrorHandler = options.onProcessorError;
     if (options.silent) this.silent = options.silent;
     if (options.append) this.append = options.append;
+    if (options.schema) this.schema = options.schema;
+    if (options.dedupe) this.dedupe = options.dedupe;
+    if (options.retry) this.retry = new RetryPolicy(options.retry);
+    if (options.timeout) this.timeout = options.timeout;
+    if (options.staleTime) this.staleTime = options.staleTime;
+    if (options.ttl) this.ttl = options.ttl;
+    if (options.force) this.force = options.force;
+    if (options.keepDataOnError) this.keepDataOnError = options.keepDataOnError;
+    if (options.normalizeError) this.errorNormalizer = options.normalizeError === true ? normalizeError : options.normalizeError;
+    if (options.dependsOn) this.dependencies = options.dependsOn;
+    if (options.paginate) this.paginator = new Paginator(options.paginate === true ? null : options.paginate);
+    if (options.idAttribute) this.idAttribute = options.idAttribute;
+    if (options.params) this.params = options.params;
+    if (options.params) this.paramsKey = getParamsKey(options.params);
+    if (options.namespace) this.namespace = options.namespace;
+    if (typeof options.prefix === 'string') this.prefix = options.prefix;
+    if (options.mountPoint) this.mountPoint = options.mountPoint;
 };
 
 EntityConfiguration.prototype.getProcessors = function () {
     return this.processors;
 };
 
+EntityConfiguration.prototype.getProcessorErrorHandler = function () {
+    return this.processorErrorHandler;
+};
+
 EntityConfiguration.prototype.isSilent = function () {
     return this.silent;
 };
 
+EntityConfiguration.prototype.setSilent = function (silent) {
+    this.silent = silent;
+};
+
 EntityConfiguration.prototype.doAppend = function () {
     return this.append;
 };
 
+EntityConfiguration.prototype.doKeepDataOnError = function () {
+    return this.keepDataOnError;
+};
+
+EntityConfiguration.prototype.getErrorNormalizer = function () {
+    return this.errorNormalizer;
+};
+
+EntityConfiguration.prototype.getPaginator = function () {
+    return this.paginator;
+};
+
+EntityConfiguration.prototype.getIdAttribute = function () {
+    return this.idAttribute;
+};
+
+EntityConfiguration.prototype.getParams = function () {
+    return this.params;
+};
+
+/**
+ * @return {string}     Cache key of the params the entity is loaded with, or null
+ */
+EntityConfiguration.prototype.getParamsKey = function () {
+    return this.paramsKey;
+};
+
+EntityConfiguration.prototype.getSchema = function () {
+    return this.schema;
+};
+
+EntityConfiguration.prototype.doDedupe = function () {
+    return this.dedupe;
+};
+
+EntityConfiguration.prototype.getRetryPolicy = function () {
+    return this.retry;
+};
+
+EntityConfiguration.prototype.getTimeout = function () {
+    return this.timeout;
+};
+
+/**
+ * Thunks of the entities this one depends on, keyed by the name their data
+ * is passed under
+ * @return {object}
+ */
+EntityConfiguration.prototype.getDependencies = function () {
+    return this.dependencies;
+};
+
+EntityConfiguration.prototype.getNamespace = function () {
+    return this.namespace;
+};
+
+EntityConfiguration.prototype.getPrefix = function () {
+    return this.prefix;
+};
+
+EntityConfiguration.prototype.getMountPoint = function () {
+    return this.mountPoint;
+};
+
+/**
+ * Determine whether an entity's data can be served without loading it again.
+ * Data younger than staleTime is fresh; data younger than ttl is stale, and
+ * may be served while it's revalidated; anything else has expired.
+ * @param  {object} entity      Entity state, if any
+ * @param  {number} now         Current timestamp
+ * @return {string}             One of FRESHNESS
+ */
+EntityConfiguration.prototype.getFreshness = function (entity, now) {
+    if (this.force || !entity || entity.isStale || !entity.lastUpdated) return FRESHNESS.EXPIRED;
+    const age = now - entity.lastUpdated;
+    if (this.staleTime && age < this.staleTime) return FRESHNESS.FRESH;
+    if (this.ttl && age < this.ttl) return FRESHNESS.STALE;
+    return FRESHNESS.EXPIRED;
+};
+
 module.exports = EntityConfiguration;
@@ -1,45 +1,169 @@
 'use strict';
 
 const PROCESSOR_STAGE = {
-    BEFORE_SUCCESS: 'beforeSuccess',
-    AFTER_SUCCESS : 'afterSuccess',
-    BEFORE_FAILURE: 'beforeFailure',
-    AFTER_FAILURE : 'afterFailure'
+    TRANSFORM      : 'transform',
+    TRANSFORM_ERROR: 'transformError',
+    BEFORE_SUCCESS : 'beforeSuccess',
+    AFTER_SUCCESS  : 'afterSuccess',
+    BEFORE_FAILURE : 'beforeFailure',
+    AFTER_FAILURE  : 'afterFailure'
 };
 
 module.exports = {
     ACTION_PROPS: {
-        ENTITY: 'entity',
-        APPEND: 'append'
+        ENTITY      : 'entity',
+        APPEND      : 'append',
+        TABLES      : 'tables',
+        ROLLBACK    : 'rollback',
+        KEEP_DATA   : 'keepData',
+        PAGE        : 'page',
+        PARAMS_KEY  : 'paramsKey',
+        OPERATION   : 'operation',
+        RECORD_KEY  : 'recordKey',
+        IDS         : 'ids',
+        ID_ATTRIBUTE: 'idAttribute',
+        INTERVAL    : 'interval',
+        REQUEST     : 'request',
+        OPTIONS     : 'options',
+        STAGE       : 'stage',
+        ENTITIES    : 'entities'
     },
     ENTITY_PROPS: {
-        DATA        : 'data',
-        IS_FETCHING : 'isFetching',
-        LAST_UPDATED: 'lastUpdated',
-        ERROR       : 'error'
+        DATA         : 'data',
+        IS_FETCHING  : 'isFetching',
+        LAST_UPDATED : 'lastUpdated',
+        ERROR        : 'error',
+        REQUEST_ID   : 'requestId',
+        RETRY_COUNT  : 'retryCount',
+        NEXT_RETRY_AT: 'nextRetryAt',
+        IS_STALE     : 'isStale',
+        STATUS       : 'status',
+        PAGINATION   : 'pagination',
+        RECORDS      : 'records',
+        POLLING      : 'polling'
     },
     INITIAL_ENTITY_STATE: {
         isFetching : false,
         lastUpdated: null,
         data       : null,
-        error      : null
+        error      : null,
+        requestId  : null,
+        retryCount : 0,
+        nextRetryAt: null,
+        isStale    : true,
+        status     : 'idle',
+        pagination : null,
+        records    : {},
+        polling    : null
+    },
+    /**
+     * Pagination state of an entity loaded with the paginate option
+     */
+    INITIAL_PAGINATION_STATE: {
+        pages     : [],
+        cursor    : null,
+        nextCursor: null,
+        hasMore   : false,
+        totalCount: null
     },
     ACTION_TYPES: {
-        FETCH_REQUEST: 'FETCH_REQUEST',
-        FETCH_SUCCESS: 'FETCH_SUCCESS',
-        FETCH_FAILURE: 'FETCH_FAILURE',
-        RESET_ENTITY : 'RESET_ENTITY',
-        DELETE_ENTITY: 'DELETE_ENTITY'
+        FETCH_REQUEST     : '@@redux-entity/FETCH_REQUEST',
+        FETCH_SUCCESS     : '@@redux-entity/FETCH_SUCCESS',
+        FETCH_FAILURE     : '@@redux-entity/FETCH_FAILURE',
+        FETCH_RETRY       : '@@redux-entity/FETCH_RETRY',
+        RESET_ENTITY      : '@@redux-entity/RESET_ENTITY',
+        DELETE_ENTITY     : '@@redux-entity/DELETE_ENTITY',
+        CANCEL_ENTITY     : '@@redux-entity/CANCEL_ENTITY',
+        INVALIDATE_ENTITY : '@@redux-entity/INVALIDATE_ENTITY',
+        OPTIMISTIC_UPDATE : '@@redux-entity/OPTIMISTIC_UPDATE',
+        RESET_PAGINATION  : '@@redux-entity/RESET_PAGINATION',
+        RECORD_REQUEST    : '@@redux-entity/RECORD_REQUEST',
+        RECORD_SUCCESS    : '@@redux-entity/RECORD_SUCCESS',
+        RECORD_FAILURE    : '@@redux-entity/RECORD_FAILURE',
+        POLL_START        : '@@redux-entity/POLL_START',
+        POLL_STOP         : '@@redux-entity/POLL_STOP',
+        LOAD_ENTITY       : '@@redux-entity/LOAD_ENTITY',
+        PROCESSOR_ERROR   : '@@redux-entity/PROCESSOR_ERROR',
+        REHYDRATE_ENTITIES: '@@redux-entity/REHYDRATE_ENTITIES',
+        HYDRATE_ENTITIES  : '@@redux-entity/HYDRATE_ENTITIES'
+    },
+    /**
+     * Prefix of every action type, unless configured otherwise
+     */
+    DEFAULT_ACTION_PREFIX: '@@redux-entity',
+    /**
+     * Path to the entities reducer in Redux state, unless configured otherwise
+     */
+    DEFAULT_MOUNT_POINT  : 'entities',
+    /**
+     * Key on the entities state under which normalized tables are stored
+     */
+    TABLES_KEY           : '@@tables',
+    PROCESSOR_STAGE      : PROCESSOR_STAGE,
+    BACKOFF              : {
+        FIXED      : 'fixed',
+        LINEAR     : 'linear',
+        EXPONENTIAL: 'exponential'
+    },
+    STATUS: {
+        IDLE      : 'idle',
+        LOADING   : 'loading',
+        REFRESHING: 'refreshing',
+        SUCCESS   : 'success',
+        ERROR     : 'error'
+    },
+    RECORD_OPERATION: {
+        CREATE: 'create',
+        UPDATE: 'update',
+        REMOVE: 'remove',
+        UPSERT: 'upsert'
+    },
+    ERROR_KIND: {
+        NETWORK   : 'network',
+        TIMEOUT   : 'timeout',
+        CANCELLED : 'cancelled',
+        VALIDATION: 'validation',
+        CLIENT    : 'client',
+        SERVER    : 'server',
+        UNKNOWN   : 'unknown'
+    },
+    BOUNDARY_STATE: {
+        LOADING: 'loading',
+        ERROR  : 'error',
+        EMPTY  : 'empty',
+        DATA   : 'data'
+    },
+    FRESHNESS: {
+        FRESH  : 'fresh',
+        STALE  : 'stale',
+        EXPIRED: 'expired'
     },
-    PROCESSOR_STAGE: PROCESSOR_STAGE,
     DEFAULT_OPTIONS: {
-        silent    : false,
-        append    : false,
-        processors: {
-            [PROCESSOR_STAGE.BEFORE_SUCCESS]: null,
-            [PROCESSOR_STAGE.AFTER_SUCCESS] : null,
-            [PROCESSOR_STAGE.BEFORE_FAILURE]: null,
-            [PROCESSOR_STAGE.AFTER_FAILURE] : null
+        silent          : false,
+        append          : false,
+        schema          : null,
+        dedupe          : false,
+        retry           : null,
+        timeout         : null,
+        staleTime       : null,
+        ttl             : null,
+        force           : false,
+        keepDataOnError : false,
+        normalizeError  : null,
+        paginate        : null,
+        params          : null,
+        idAttribute     : 'id',
+        namespace       : null,
+        prefix          : '@@redux-entity',
+        mountPoint      : 'entities',
+        onProcessorError: null,
+        processors      : {
+            [PROCESSOR_STAGE.BEFORE_SUCCESS] : null,
+            [PROCESSOR_STAGE.AFTER_SUCCESS]  : null,
+            [PROCESSOR_STAGE.BEFORE_FAILURE] : null,
+            [PROCESSOR_STAGE.AFTER_FAILURE]  : null,
+            [PROCESSOR_STAGE.TRANSFORM]      : null,
+            [PROCESSOR_STAGE.TRANSFORM_ERROR]: null
         }
     }
 };
@@ -1,20 +1,99 @@
 'use strict';
 
-const actionCreators = require('./../action-creators');
+const { createActionCreators } = require('./../action-creators');
 const EntityConfiguration = require('./entity-configuration');
-const { PROCESSOR_STAGE } = require('./entity-const');
+const registry = require('./request-registry');
+const { normalize } = require('./normalizer');
+const { withParamsKey } = require('./params');
+const { getGlobalProcessors } = require('./global-processors');
+const { PROCESSOR_STAGE, RECORD_OPERATION, ACTION_PROPS } = require('./entity-const');
 
 function EntityLifecycle (entityName, options) {
     if (!entityName) throw new Error('Missing required entity name');
     this.entityName = entityName;
-    this.config = new EntityConfiguration(options || {});
+    this.options = options || {};
+    this.config = new EntityConfiguration(this.options);
+    this.actionCreators = createActionCreators(this.config.getNamespace(), this.config.getPrefix());
+    this.requestId = registry.nextRequestId();
+    this.snapshot = null;
+    this.page = this.config.getPaginator() ? { cursor: null } : null;
+    this.record = null;
+    this.entry = null;
+    this.stage = null;
+    this.startedAt = null;
+    this.settledAt = null;
     this.dispatch = null;
+    this.getState = null;
 }
 
 EntityLifecycle.prototype.getEntityName = function () {
     return this.entityName;
 };
 
+EntityLifecycle.prototype.getConfig = function () {
+    return this.config;
+};
+
+/**
+ * Record changes and mutations (which take a snapshot) are registered apart
+ * from loads, so that loads neither dedupe onto nor cancel them
+ * @return {string}     Key of the entity in the request registry
+ */
+EntityLifecycle.prototype.getRegistryKey = function () {
+    const key = registry.getKey(this.entityName, this.config.getNamespace(), this.config.getParamsKey());
+    if (this.record) return `${key}#${this.record.operation}:${this.record.recordKey}`;
+    return this.snapshot ? `${key}#mutate` : key;
+};
+
+EntityLifecycle.prototype.getRequestId = function () {
+    return this.requestId;
+};
+
+/**
+ * Load the page at the given cursor, rather than the first page
+ * @param {*} cursor
+ */
+EntityLifecycle.prototype.setCursor = function (cursor) {
+    if (!this.page) throw new Error('Cursors require the paginate option');
+    this.page = { cursor };
+};
+
+/**
+ * @return {object}     { cursor } of the page being loaded, or null if not paginated
+ */
+EntityLifecycle.prototype.getPage = function () {
+    return this.page;
+};
+
+/**
+ * Change individual records of the entity, rather than loading all of it
+ * @param {string} operation    One of RECORD_OPERATION
+ * @param {*}      recordKey    Key of the pending/error state of the change (e.g. the record id)
+ * @param {*}      id           Id of the record to change, for updates and removals
+ */
+EntityLifecycle.prototype.setRecord = function (operation, recordKey, id) {
+    this.record = { operation, recordKey, id };
+};
+
+/**
+ * Track the registry entry of the request, to stop processing once it's cancelled
+ * @param {object} entry        { requestId, controller, cancelled, promise }
+ */
+EntityLifecycle.prototype.setRequestEntry = function (entry) {
+    this.entry = entry;
+};
+
+EntityLifecycle.prototype.isCancelled = function () {
+    return Boolean(this.entry && this.entry.cancelled);
+};
+
+/**
+ * @return {AbortSignal}    Signal aborted when the request is cancelled, if any
+ */
+EntityLifecycle.prototype.getSignal = function () {
+    return this.entry && this.entry.controller ? this.entry.controller.signal : undefined;
+};
+
 EntityLifecycle.prototype.setDispatch = function (dispatch) {
     if (typeof dispatch !== 'function') throw new Error('dispatch must be a function');
     this.dispatch = dispatch;
@@ -25,59 +104,316 @@ EntityLifecycle.prototype.getDispatch = function () {
     return this.dispatch;
 };
 
+/**
+ * Give processors access to the store's state
+ * @param {function} getState
+ */
+EntityLifecycle.prototype.setGetState = function (getState) {
+    if (getState !== undefined && typeof getState !== 'function') throw new Error('getState must be a function');
+    this.getState = getState || null;
+};
+
+/**
+ * Keep the entity's data as it was before a mutation, to restore it if the
+ * mutation fails
+ * @param {*} data
+ */
+EntityLifecycle.prototype.takeSnapshot = function (data) {
+    this.snapshot = { data };
+};
+
+EntityLifecycle.prototype.onOptimisticUpdate = function (data) {
+    this._dispatch(
+        this.actionCreators.optimisticUpdate(this.getEntityName())(data, this.requestId)
+    );
+};
+
 EntityLifecycle.prototype.onLoad = function () {
-    if (!this.config.isSilent()) {
-        this.getDispatch()(actionCreators.fetchRequest(this.getEntityName())());
+    this.startedAt = Date.now();
+    if (this.record) {
+        this._dispatch(
+            this.actionCreators.recordRequest(this.getEntityName())(this.record.operation, this.record.recordKey, this.requestId)
+        );
+        return;
+    }
+    if (this.config.isSilent()) return;
+    if (this.page) {
+        this._dispatch(this.actionCreators.fetchRequestPage(this.getEntityName())(this.requestId, this.page));
+    } else {
+        this._dispatch(this.actionCreators.fetchRequest(this.getEntityName())(this.requestId));
     }
 };
 
+/**
+ * Run the success stages in order, waiting for processors that return a
+ * promise. The transform stage may replace the data, and beforeSuccess may
+ * return false to veto storing it.
+ * @param  {*} data
+ * @return {Promise}
+ */
 EntityLifecycle.prototype.onSuccess = function (data) {
-    this._runBeforeSuccess(data);
-    this._dispatchFetchSuccess(data);
-    this._runAfterSuccess(data);
+    let transformed;
+    this.settledAt = Date.now();
+    return this._runTransform(data)
+        .then(result => {
+            transformed = result;
+            return this._runBeforeSuccess(transformed);
+        })
+        .then(verdicts => {
+            if (this.isCancelled()) return undefined;
+            if (verdicts.indexOf(false) !== -1) return this._dispatchVeto();
+            this._dispatchFetchSuccess(transformed);
+            return this._runAfterSuccess(transformed);
+        });
 };
 
+/**
+ * Run the failure stages in order. The transformError stage may replace the error.
+ * Processors receive the error as rejected; only the stored error is normalized.
+ * @param  {*} error
+ * @return {Promise}
+ */
 EntityLifecycle.prototype.onFailure = function (error) {
-    this._runBeforeFailure(error);
-    this._dispatchFetchFailure(error);
-    this._runAfterFailure(error);
+    let transformed;
+    this.settledAt = Date.now();
+    return this._runTransformError(error)
+        .then(result => {
+            transformed = result;
+            return this._runBeforeFailure(transformed);
+        })
+        .then(() => {
+            if (this.isCancelled()) return undefined;
+            this._dispatchFetchFailure(transformed);
+            return this._runAfterFailure(transformed);
+        });
+};
+
+/**
+ * Report an error thrown by a processor, or while dispatching the outcome of
+ * the request, without failing the entity. Unless the onProcessorError option
+ * handles it, the error is thrown again.
+ * @param  {*} error
+ * @return {Promise}
+ */
+EntityLifecycle.prototype.onProcessorError = function (error) {
+    const stage = this.stage;
+    const action = this.actionCreators.processorError(this.getEntityName())(error, stage, this.requestId);
+    this._dispatch(this.record ? Object.assign(action, { [ACTION_PROPS.RECORD_KEY]: this.record.recordKey }) : action);
+
+    const handler = this.config.getProcessorErrorHandler();
+    if (!handler) return Promise.reject(error);
+    return Promise.resolve(handler(error, this.__getContext(stage))).then(() => undefined);
+};
+
+/**
+ * Record that the request failed and will be retried
+ * @param {*}      error        Rejection of the failed attempt
+ * @param {number} retryCount   Number of the upcoming retry
+ * @param {number} nextRetryAt  Timestamp of the upcoming retry
+ */
+EntityLifecycle.prototype.onRetry = function (error, retryCount, nextRetryAt) {
+    this._dispatch(
+        this.actionCreators.fetchRetry(this.getEntityName())(this.__normalizeError(error), retryCount, nextRetryAt, this.requestId)
+    );
+};
+
+/**
+ * Dispatch an action of this entity, addressed to its params, if any
+ * @param {object} action
+ */
+EntityLifecycle.prototype._dispatch = function (action) {
+    this.stage = null;
+    this.getDispatch()(withParamsKey(action, this.config.getParamsKey()));
+};
+
+EntityLifecycle.prototype._runTransform = function (data) {
+    return this.__processStage(PROCESSOR_STAGE.TRANSFORM, data, true)
+        .then(results => (results.length ? results[results.length - 1] : data));
+};
+
+EntityLifecycle.prototype._runTransformError = function (error) {
+    return this.__processStage(PROCESSOR_STAGE.TRANSFORM_ERROR, error, true)
+        .then(results => (results.length ? results[results.length - 1] : error));
 };
 
 EntityLifecycle.prototype._runBeforeSuccess = function (data) {
-    this.__processStage(PROCESSOR_STAGE.BEFORE_SUCCESS, data);
+    return this.__processStage(PROCESSOR_STAGE.BEFORE_SUCCESS, data);
 };
 
 EntityLifecycle.prototype._runAfterSuccess = function (data) {
-    this.__processStage(PROCESSOR_STAGE.AFTER_SUCCESS, data);
+    return this.__processStage(PROCESSOR_STAGE.AFTER_SUCCESS, data).then(() => undefined);
 };
 
 EntityLifecycle.prototype._runBeforeFailure = function (error) {
-    this.__processStage(PROCESSOR_STAGE.BEFORE_FAILURE, error);
+    return this.__processStage(PROCESSOR_STAGE.BEFORE_FAILURE, error);
 };
 
 EntityLifecycle.prototype._runAfterFailure = function (error) {
-    this.__processStage(PROCESSOR_STAGE.AFTER_FAILURE, error);
+    return this.__processStage(PROCESSOR_STAGE.AFTER_FAILURE, error).then(() => undefined);
+};
+
+/**
+ * Settle the pending request without storing its data, as if it were
+ * cancelled. The data of a vetoed mutation is restored from its snapshot.
+ */
+EntityLifecycle.prototype._dispatchVeto = function () {
+    if (this.snapshot) {
+        this.onOptimisticUpdate(this.snapshot.data);
+    }
+    const action = this.actionCreators.cancelEntity(this.getEntityName(), this.requestId);
+    this._dispatch(this.record ? Object.assign(action, { [ACTION_PROPS.RECORD_KEY]: this.record.recordKey }) : action);
 };
 
 EntityLifecycle.prototype._dispatchFetchSuccess = function (data) {
-    this.dispatch(
-        actionCreators.fetchSuccess(this.getEntityName())(data, Date.now(), this.config.doAppend())
+    const schema = this.config.getSchema();
+    if (this.record) {
+        this._dispatchRecordSuccess(data);
+    } else if (this.page) {
+        this._dispatchFetchSuccessPage(data);
+    } else if (schema) {
+        const { result, tables } = normalize(data, schema);
+        this._dispatch(
+            this.actionCreators.fetchSuccessNormalized(this.getEntityName())(result, Date.now(), this.config.doAppend(), tables, this.requestId)
+        );
+    } else {
+        const append = this.config.doAppend();
+        const action = this.actionCreators.fetchSuccess(this.getEntityName())(data, Date.now(), append, this.requestId);
+        // Appended records are merged by id, like normalized results
+        this._dispatch(append ? Object.assign(action, { [ACTION_PROPS.ID_ATTRIBUTE]: this.config.getIdAttribute() }) : action);
+    }
+};
+
+/**
+ * Every page after the first is appended to the data loaded so far
+ * @param {*} response
+ */
+EntityLifecycle.prototype._dispatchFetchSuccessPage = function (response) {
+    const schema = this.config.getSchema();
+    const { items, nextCursor, hasMore, totalCount } = this.config.getPaginator().readPage(response);
+    const { result, tables } = schema ? normalize(items, schema) : { result: items, tables: null };
+    const page = { cursor: this.page.cursor, nextCursor, hasMore, totalCount };
+    this._dispatch(
+        this.actionCreators.fetchSuccessPage(this.getEntityName())(result, Date.now(), this.page.cursor !== null, tables, page, this.requestId)
     );
 };
 
-EntityLifecycle.prototype._dispatchFetchFailure = function (error) {
-    this.dispatch(
-        actionCreators.fetchFailure(this.getEntityName())(error, Date.now())
+/**
+ * Removals only need the id of the record; other changes store the records
+ * the promise resolved with, normalized if the entity has a schema.
+ * @param {*} response
+ */
+EntityLifecycle.prototype._dispatchRecordSuccess = function (response) {
+    const { operation, recordKey, id } = this.record;
+    const schema = this.config.getSchema();
+    const recordSchema = Array.isArray(schema) ? schema[0] : schema;
+    let data = null;
+    let ids = [id];
+    let idAttribute = this.config.getIdAttribute();
+    let tables = null;
+    if (operation !== RECORD_OPERATION.REMOVE) {
+        const records = Array.isArray(response) ? response : [response];
+        if (recordSchema) {
+            const normalized = normalize(records, [recordSchema]);
+            data = ids = normalized.result;
+            idAttribute = null;
+            tables = normalized.tables;
+        } else {
+            data = records;
+            ids = records.map(record => record[idAttribute]);
+        }
+    } else if (recordSchema) {
+        idAttribute = null;
+    }
+    this._dispatch(
+        this.actionCreators.recordSuccess(this.getEntityName())(operation, recordKey, data, ids, idAttribute, tables, Date.now(), this.requestId)
     );
 };
 
-EntityLifecycle.prototype.__processStage = function (stage, obj) {
-    if (!stage) throw new Error('Missing required process stage');
-    const processor = this.config.getProcessors()[stage];
-    if (processor) {
-        if (typeof processor !== 'function') throw new Error('processor must be a function');
-        processor(this.dispatch, obj);
+EntityLifecycle.prototype._dispatchFetchFailure = function (rejection) {
+    const error = this.__normalizeError(rejection);
+    if (this.record) {
+        this._dispatch(
+            this.actionCreators.recordFailure(this.getEntityName())(this.record.operation, this.record.recordKey, error, this.requestId)
+        );
+    } else if (this.page) {
+        const keepData = this.page.cursor !== null || this.config.doKeepDataOnError();
+        this._dispatch(
+            this.actionCreators.fetchFailurePage(this.getEntityName())(error, Date.now(), keepData, this.page, this.requestId)
+        );
+    } else if (this.snapshot) {
+        this._dispatch(
+            this.actionCreators.fetchFailureRollback(this.getEntityName())(error, Date.now(), this.snapshot.data, this.requestId)
+        );
+    } else if (this.config.doKeepDataOnError()) {
+        this._dispatch(
+            this.actionCreators.fetchFailureKeepData(this.getEntityName())(error, Date.now(), true, this.requestId)
+        );
+    } else {
+        this._dispatch(
+            this.actionCreators.fetchFailure(this.getEntityName())(error, Date.now(), this.requestId)
+        );
     }
 };
 
+/**
+ * Errors are stored as given, unless the normalizeError option is set
+ * @param  {*} error
+ * @return {*}
+ */
+EntityLifecycle.prototype.__normalizeError = function (error) {
+    const normalizer = this.config.getErrorNormalizer();
+    return normalizer ? normalizer(error) : error;
+};
+
+/**
+ * The entity's own processor of a stage runs first, then the global ones
+ * @param  {string} stage
+ * @return {Array}
+ */
+EntityLifecycle.prototype.__getProcessors = function (stage) {
+    const processor = this.config.getProcessors()[stage];
+    if (processor && typeof processor !== 'function') throw new Error('processor must be a function');
+    return (processor ? [processor] : []).concat(getGlobalProcessors(stage));
+};
+
+/**
+ * Everything processors may need to know about the request
+ * @param  {string} stage
+ * @return {object}
+ */
+EntityLifecycle.prototype.__getContext = function (stage) {
+    return {
+        stage,
+        dispatch  : this.dispatch,
+        getState  : this.getState,
+        entityName: this.entityName,
+        options   : this.options,
+        requestId : this.requestId,
+        signal    : this.getSignal(),
+        startedAt : this.startedAt,
+        settledAt : this.settledAt,
+        duration  : this.startedAt && this.settledAt ? this.settledAt - this.startedAt : null
+    };
+};
+
+/**
+ * Run the processors of a stage in order, waiting for those that return a
+ * promise. Processors are called with (dispatch, obj, context); when piped,
+ * each one receives the result of the previous one instead of obj.
+ * @param  {string}  stage
+ * @param  {*}       obj        Data or error of the stage
+ * @param  {boolean} pipe
+ * @return {Promise}            Resolves with the results of the processors
+ */
+EntityLifecycle.prototype.__processStage = function (stage, obj, pipe) {
+    if (!stage) throw new Error('Missing required process stage');
+    const context = this.__getContext(stage);
+    return this.__getProcessors(stage).reduce((promise, processor) => promise.then(results => {
+        const input = pipe && results.length ? results[results.length - 1] : obj;
+        this.stage = stage;
+        return Promise.resolve(processor(this.dispatch, input, context))
+            .then(result => results.concat([result]));
+    }), Promise.resolve([]));
+};
+
 module.exports = EntityLifecycle;
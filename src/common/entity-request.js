@@ -0,0 +1,181 @@
+'use strict';
+/* global AbortController */
+
+const registry = require('./request-registry');
+const { createSelectors } = require('./../selectors');
+const { TimeoutError } = require('./errors');
+const dependencies = require('./dependencies');
+
+module.exports = {
+    /**
+     * Validate the arguments shared by the thunk action creators
+     * @param {string}           name       Entity name
+     * @param {Promise|function} promise    Promise, or a function returning one
+     * @param {object}           options    Configuration options object
+     */
+    validateArguments (name, promise, options) {
+        if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+        if (!promise || (typeof promise !== 'function' && !promise.then)) throw new Error('Missing required entity promise');
+        if (options && options.constructor !== Object) throw new Error('Expected options to be an object');
+        if (options && options.retry && typeof promise !== 'function') throw new Error('Retry requires a promise factory');
+        if (options && options.paginate && typeof promise !== 'function') throw new Error('Pagination requires a promise factory');
+        if (options && options.params && options.params.constructor !== Object) throw new Error('Expected params to be an object');
+        if (options && options.normalizeError && options.normalizeError !== true && typeof options.normalizeError !== 'function') {
+            throw new Error('normalizeError must be a function');
+        }
+        if (options && options.timeout && !(typeof options.timeout === 'number' && options.timeout > 0)) throw new Error('timeout must be a positive number');
+        if (options && options.onProcessorError && typeof options.onProcessorError !== 'function') throw new Error('onProcessorError must be a function');
+        if (options && options.dependsOn) {
+            if (typeof promise !== 'function') throw new Error('dependsOn requires a promise factory');
+            if (options.dependsOn.constructor !== Object || !Object.keys(options.dependsOn).every(key => dependencies.isDescribed(options.dependsOn[key]))) {
+                throw new Error('Expected dependsOn to be an object of loadEntity thunks');
+            }
+        }
+    },
+    /**
+     * Read the current entity state, if the thunk middleware supplied getState
+     * @param  {function}        getState
+     * @param  {EntityLifecycle} _el
+     * @return {object}
+     */
+    getEntity (getState, _el) {
+        return typeof getState === 'function'
+            ? createSelectors(_el.getConfig().getMountPoint()).getEntity(getState(), _el.getEntityName(), _el.getConfig().getParams())
+            : undefined;
+    },
+    /**
+     * Register the lifecycle as the entity's in-flight request, start it, and
+     * dispatch its outcome. Results of cancelled requests are dropped.
+     * Only rejections of the promise are failures of the entity: errors thrown
+     * while handling the outcome, by processors or while dispatching, are
+     * processor errors.
+     * @param  {EntityLifecycle}  _el
+     * @param  {Promise|function} promise   Promise, or a function returning one
+     * @return {Promise}                    Settles once the outcome is dispatched
+     */
+    run (_el, promise) {
+        const key = _el.getRegistryKey();
+        const dispatch = _el.getDispatch();
+        let start;
+        const entry = registry.register(dispatch, key, {
+            requestId : _el.getRequestId(),
+            controller: __createAbortController(promise),
+            cancelled : false,
+            promise   : new Promise(resolve => { start = resolve; })
+        });
+
+        _el.setRequestEntry(entry);
+        start(__start(_el, promise, entry, () => registry.release(dispatch, key, entry)));
+        return entry.promise;
+    }
+};
+
+/**
+ * Dispatch the start of the request, then make it. When dispatching the start
+ * throws (e.g. a store subscriber), the request isn't made: the entry is
+ * released, and the error is a processor error.
+ * @param _el
+ * @param promise
+ * @param entry
+ * @param release
+ * @returns {Promise}
+ * @private
+ */
+function __start (_el, promise, entry, release) {
+    try {
+        _el.onLoad();
+    } catch (error) {
+        release();
+        return Promise.resolve().then(() => _el.onProcessorError(error));
+    }
+    return __attempt(_el, promise, entry, 0)
+        .then(data => {
+            release();
+            return entry.cancelled ? undefined : _el.onSuccess(data);
+        }, error => {
+            release();
+            return entry.cancelled ? undefined : _el.onFailure(error);
+        })
+        .catch(error => _el.onProcessorError(error));
+}
+
+/**
+ * Start the request, capturing synchronous errors thrown by a factory, or while
+ * dispatching its prerequisites, as rejections.
+ * Factories of paginated entities also receive the cursor of the page to load,
+ * and factories of entities with prerequisites receive their data, once loaded.
+ * @param _el
+ * @param promise
+ * @param controller
+ * @returns {Promise}
+ * @private
+ */
+function __invoke (_el, promise, controller) {
+    if (typeof promise !== 'function') return promise;
+    const signal = controller ? controller.signal : undefined;
+    const page = _el.getPage();
+    const dependsOn = _el.getConfig().getDependencies();
+    if (dependsOn) {
+        return new Promise(resolve => resolve(dependencies.load(dependsOn, _el.getDispatch(), _el.getState)))
+            .then(data => promise(signal, page ? page.cursor : undefined, data));
+    }
+    return new Promise(resolve => {
+        resolve(page ? promise(signal, page.cursor) : promise(signal));
+    });
+}
+
+/**
+ * Start the request, and keep retrying on rejection for as long as the retry
+ * policy allows. Each retry is recorded on the entity before waiting. With
+ * the timeout option, each attempt gets its own time limit.
+ * @param _el
+ * @param promise
+ * @param entry
+ * @param retryCount
+ * @returns {Promise}
+ * @private
+ */
+function __attempt (_el, promise, entry, retryCount) {
+    const policy = _el.getConfig().getRetryPolicy();
+    return __withTimeout(__invoke(_el, promise, entry.controller), _el.getConfig().getTimeout())
+        .catch(error => {
+            if (entry.cancelled || !policy.canRetry(error, retryCount)) throw error;
+            const delay = policy.getDelay(retryCount + 1);
+            _el.onRetry(error, retryCount + 1, Date.now() + delay);
+            return __wait(delay).then(() => {
+                if (entry.cancelled) throw error;
+                return __attempt(_el, promise, entry, retryCount + 1);
+            });
+        });
+}
+
+/**
+ * Reject with a TimeoutError if the attempt doesn't settle in time. Whatever
+ * the attempt settles with afterwards is ignored.
+ * @param promise
+ * @param timeout
+ * @returns {Promise}
+ * @private
+ */
+function __withTimeout (promise, timeout) {
+    if (!timeout) return promise;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new TimeoutError(timeout)), timeout);
+        promise.then(data => {
+            clearTimeout(timer);
+            resolve(data);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
+}
+
+function __wait (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function __createAbortController (promise) {
+    if (typeof promise !== 'function' || typeof AbortController === 'undefined') return null;
+    return new AbortController();
+}
@@ -0,0 +1,111 @@
+'use strict';
+
+const { ERROR_KIND } = require('./entity-const');
+
+const NETWORK_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'ERR_NETWORK'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED'];
+
+/**
+ * Reduce a rejection (an Error, a fetch Response, an axios error, a string...)
+ * to a plain object that can be serialized, e.g. by the Redux DevTools.
+ *
+ *   Example: normalizeError(axiosError) --> {
+ *                message: 'Request failed with status code 404',
+ *                name   : 'Error',
+ *                status : 404,
+ *                code   : null,
+ *                kind   : 'client',
+ *                details: { reason: 'No such order' }
+ *            }
+ *
+ * @param  {*} error    Rejection value
+ * @return {object}     { message, name, status, code, kind, details }
+ */
+function normalizeError (error) {
+    if (!error || typeof error !== 'object') {
+        return {
+            message: error === undefined || error === null ? null : String(error),
+            name   : null,
+            status : null,
+            code   : null,
+            kind   : ERROR_KIND.UNKNOWN,
+            details: null
+        };
+    }
+    return {
+        message: typeof error.message === 'string' ? error.message : __getStatusText(error),
+        name   : typeof error.name === 'string' ? error.name : null,
+        status : __getStatus(error),
+        code   : error.code !== undefined ? error.code : null,
+        kind   : classifyError(error),
+        details: __getDetails(error)
+    };
+}
+
+/**
+ * Tell what went wrong with a request, so that the UI can e.g. offer to retry
+ * network failures but not validation errors
+ * @param  {*} error    Rejection value
+ * @return {string}     One of ERROR_KIND
+ */
+function classifyError (error) {
+    if (!error || typeof error !== 'object') return ERROR_KIND.UNKNOWN;
+    const status = __getStatus(error);
+
+    if (error.name === 'AbortError') return ERROR_KIND.CANCELLED;
+    if (error.name === 'TimeoutError' || TIMEOUT_CODES.indexOf(error.code) !== -1 || status === 408) return ERROR_KIND.TIMEOUT;
+    if (error.name === 'ValidationError' || status === 422) return ERROR_KIND.VALIDATION;
+    if (status >= 400 && status < 500) return ERROR_KIND.CLIENT;
+    if (status >= 500) return ERROR_KIND.SERVER;
+    if (NETWORK_CODES.indexOf(error.code) !== -1) return ERROR_KIND.NETWORK;
+    // fetch() rejects with a TypeError when the request can't be sent
+    if (error.name === 'TypeError' && /fetch|network/i.test(error.message)) return ERROR_KIND.NETWORK;
+    // axios sets request, but no response, when the server can't be reached
+    if (error.request && !error.response) return ERROR_KIND.NETWORK;
+    return ERROR_KIND.UNKNOWN;
+}
+
+/**
+ * Rejection of requests that take longer than the timeout option
+ * @param {number} timeout      Milliseconds the request was given
+ * @constructor
+ */
+function TimeoutError (timeout) {
+    this.name = 'TimeoutError';
+    this.message = `Request timed out after ${timeout}ms`;
+    this.timeout = timeout;
+    this.stack = new Error(this.message).stack;
+}
+
+TimeoutError.prototype = Object.create(Error.prototype);
+TimeoutError.prototype.constructor = TimeoutError;
+
+function __getStatus (error) {
+    const status = error.response ? error.response.status : (error.status || error.statusCode);
+    return typeof status === 'number' ? status : null;
+}
+
+function __getStatusText (error) {
+    const statusText = error.response ? error.response.statusText : error.statusText;
+    return typeof statusText === 'string' ? statusText : null;
+}
+
+/**
+ * Keep whatever the server said about the error, as long as it's serializable
+ * @private
+ */
+function __getDetails (error) {
+    const details = error.details !== undefined ? error.details : (error.response && error.response.data);
+    if (details === undefined || details === null) return null;
+    try {
+        return JSON.parse(JSON.stringify(details));
+    } catch (e) {
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeError,
+    classifyError,
+    TimeoutError
+};
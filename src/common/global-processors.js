@@ -0,0 +1,33 @@
+'use strict';
+
+const { PROCESSOR_STAGE } = require('./entity-const');
+
+/**
+ * Processors registered for every entity, keyed by stage
+ */
+const processors = {};
+
+module.exports = {
+    /**
+     * Register a processor that runs for every entity, after the entity's own
+     * processor of the same stage (e.g. an error reporter on afterFailure).
+     * @param  {string}   stage         One of PROCESSOR_STAGE
+     * @param  {function} processor     func(dispatch, obj, context)
+     * @return {function}               Unregister the processor
+     */
+    addGlobalProcessor (stage, processor) {
+        if (Object.keys(PROCESSOR_STAGE).every(key => PROCESSOR_STAGE[key] !== stage)) throw new Error(`Unknown processor stage "${stage}"`);
+        if (typeof processor !== 'function') throw new Error('processor must be a function');
+        processors[stage] = (processors[stage] || []).concat(processor);
+        return () => {
+            processors[stage] = processors[stage].filter(registered => registered !== processor);
+        };
+    },
+    /**
+     * @param  {string} stage
+     * @return {Array}          Global processors of the stage, in registration order
+     */
+    getGlobalProcessors (stage) {
+        return processors[stage] || [];
+    }
+};
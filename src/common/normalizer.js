@@ -0,0 +1,126 @@
+'use strict';
+
+/**
+ * Flatten data into per-type tables according to a schema. Nested records
+ * are replaced with their ids, and each record is stored exactly once.
+ *
+ *   Example: normalize([{ id: 1, customer: { id: 7 } }], [order])
+ *            --> { result: [1], tables: { orders: {...}, customers: {...} } }
+ *
+ * @param  {*}                  data    Resolved promise data
+ * @param  {EntitySchema|Array} schema  Schema, or [schema] for a list
+ * @return {object}                     { result, tables }
+ */
+function normalize (data, schema) {
+    if (!schema) throw new Error('Missing required schema');
+    const tables = {};
+    const result = _flatten(data, schema, tables);
+    return { result, tables };
+}
+
+/**
+ * Rebuild nested records from normalized tables.
+ * @param  {*}                  result  Id, or list of ids
+ * @param  {EntitySchema|Array} schema  Schema, or [schema] for a list
+ * @param  {object}             tables  Normalized tables keyed by type
+ * @return {*}                          Denormalized data
+ */
+function denormalize (result, schema, tables) {
+    if (!schema) throw new Error('Missing required schema');
+    return _inflate(result, schema, tables || {}, []);
+}
+
+/**
+ * Merge incoming tables into existing ones. Records that share an id are
+ * shallow-merged; new ids are appended to allIds.
+ * @param  {object} existing
+ * @param  {object} incoming
+ * @return {object}             New tables object
+ */
+function mergeTables (existing, incoming) {
+    const merged = Object.assign({}, existing);
+    Object.keys(incoming).forEach(type => {
+        const current = merged[type] || { byId: {}, allIds: [] };
+        const next = incoming[type];
+        const byId = Object.assign({}, current.byId);
+        next.allIds.forEach(id => {
+            byId[id] = Object.assign({}, current.byId[id], next.byId[id]);
+        });
+        merged[type] = {
+            byId,
+            allIds: mergeIds(current.allIds, next.allIds)
+        };
+    });
+    return merged;
+}
+
+/**
+ * Union of two id lists, preserving order of first appearance
+ * @param  {Array} existing
+ * @param  {Array} incoming
+ * @return {Array}
+ */
+function mergeIds (existing, incoming) {
+    const ids = __toArray(existing || []).slice();
+    __toArray(incoming).forEach(id => {
+        if (ids.indexOf(id) === -1) ids.push(id);
+    });
+    return ids;
+}
+
+function _flatten (data, schema, tables) {
+    if (data === null || data === undefined) return data;
+    if (Array.isArray(schema)) return __toArray(data).map(item => _flatten(item, schema[0], tables));
+    if (Array.isArray(data)) return data.map(item => _flatten(item, schema, tables));
+    if (typeof data !== 'object') return data;
+
+    const id = schema.getId(data);
+    if (id === null || id === undefined) throw new Error(`Missing id for record of type "${schema.getType()}"`);
+
+    const record = Object.assign({}, data);
+    const relations = schema.getRelations();
+    Object.keys(relations).forEach(key => {
+        if (record[key] !== undefined) {
+            record[key] = _flatten(record[key], relations[key], tables);
+        }
+    });
+
+    const table = tables[schema.getType()] || (tables[schema.getType()] = { byId: {}, allIds: [] });
+    if (!table.byId.hasOwnProperty(id)) table.allIds.push(id);
+    table.byId[id] = Object.assign({}, table.byId[id], record);
+    return id;
+}
+
+function _inflate (value, schema, tables, path) {
+    if (value === null || value === undefined) return value;
+    if (Array.isArray(schema)) return __toArray(value).map(id => _inflate(id, schema[0], tables, path));
+    if (Array.isArray(value)) return value.map(id => _inflate(id, schema, tables, path));
+
+    const table = tables[schema.getType()];
+    const record = table && table.byId[value];
+    if (!record) return undefined;
+
+    // Stop at circular references (e.g. order -> customer -> orders)
+    const key = `${schema.getType()}:${value}`;
+    if (path.indexOf(key) !== -1) return record;
+
+    const inflated = Object.assign({}, record);
+    const relations = schema.getRelations();
+    Object.keys(relations).forEach(prop => {
+        if (inflated[prop] !== undefined) {
+            inflated[prop] = _inflate(inflated[prop], relations[prop], tables, path.concat(key));
+        }
+    });
+    return inflated;
+}
+
+function __toArray (obj) {
+    return Array.isArray(obj) ? obj : [obj];
+}
+
+module.exports = {
+    normalize,
+    denormalize,
+    mergeTables,
+    mergeIds
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+const createStoreScope = require('./store-scope');
+
+/**
+ * Remembers how each paginated entity was loaded, so that loadNextPage() can
+ * request the following pages with the same promise factory and options.
+ * Sources are kept per store (see store-scope).
+ */
+const getSources = createStoreScope();
+
+module.exports = {
+    /**
+     * @param {function} dispatch   Dispatch function of the entity's store
+     * @param {string}   key        Registry key of the entity (see request-registry)
+     * @param {function} factory    Promise factory of the entity
+     * @param {object}   options    Configuration options the entity was loaded with
+     */
+    register (dispatch, key, factory, options) {
+        getSources(dispatch)[key] = { factory, options };
+    },
+    /**
+     * @param  {function} dispatch
+     * @param  {string}   key
+     * @return {object}             { factory, options }, or undefined
+     */
+    get (dispatch, key) {
+        return getSources(dispatch)[key];
+    }
+};
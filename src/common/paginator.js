@@ -0,0 +1,50 @@
+'use strict';
+
+/**
+ * Reads the items and paging details out of each page of a paginated
+ * response. By default, a page is expected to look like
+ * { items, nextCursor, totalCount }, and more pages exist for as long as
+ * there's a next cursor.
+ *
+ * @param {object} options      { items, nextCursor, totalCount, hasMore }, each a function of the response
+ * @constructor
+ */
+function Paginator (options) {
+    this.items = response => response.items;
+    this.nextCursor = response => response.nextCursor;
+    this.totalCount = response => response.totalCount;
+    this.hasMore = (response, nextCursor) => nextCursor !== null;
+
+    if (options) {
+        this.__init(options);
+    }
+}
+
+Paginator.prototype.__init = function (options) {
+    if (options.constructor !== Object) throw new Error('Expected paginate to be an object');
+    ['items', 'nextCursor', 'totalCount', 'hasMore'].forEach(key => {
+        if (options[key] === undefined) return;
+        if (typeof options[key] !== 'function') throw new Error(`paginate.${key} must be a function`);
+        this[key] = options[key];
+    });
+};
+
+/**
+ * @param  {*}      response    Resolved value of the page's request
+ * @return {object}             { items, nextCursor, hasMore, totalCount }
+ */
+Paginator.prototype.readPage = function (response) {
+    const nextCursor = __orNull(this.nextCursor(response));
+    return {
+        items     : this.items(response),
+        nextCursor: nextCursor,
+        hasMore   : Boolean(this.hasMore(response, nextCursor)),
+        totalCount: __orNull(this.totalCount(response))
+    };
+};
+
+function __orNull (value) {
+    return value === undefined ? null : value;
+}
+
+module.exports = Paginator;
@@ -0,0 +1,42 @@
+'use strict';
+
+const { ACTION_PROPS } = require('./entity-const');
+
+/**
+ * Serialize query params into a stable cache key. Object keys are sorted, so
+ * { a: 1, b: 2 } and { b: 2, a: 1 } share the same key.
+ *
+ *   Example: getParamsKey({ customerId: 7 }) --> '{"customerId":7}'
+ *
+ * @param  {object} params
+ * @return {string}
+ */
+function getParamsKey (params) {
+    if (!params || params.constructor !== Object) throw new Error('Expected params to be an object');
+    return JSON.stringify(__sortKeys(params));
+}
+
+/**
+ * Address an action to the entity stored under the given params key
+ * @param  {object} action      Redux action
+ * @param  {string} paramsKey   Params key, or null for unparameterized entities
+ * @return {object}
+ */
+function withParamsKey (action, paramsKey) {
+    if (paramsKey === null || paramsKey === undefined) return action;
+    return Object.assign(action, { [ACTION_PROPS.PARAMS_KEY]: paramsKey });
+}
+
+function __sortKeys (value) {
+    if (Array.isArray(value)) return value.map(__sortKeys);
+    if (!value || value.constructor !== Object) return value;
+    return Object.keys(value).sort().reduce((sorted, key) => {
+        sorted[key] = __sortKeys(value[key]);
+        return sorted;
+    }, {});
+}
+
+module.exports = {
+    getParamsKey,
+    withParamsKey
+};
@@ -0,0 +1,80 @@
+'use strict';
+/* global document */
+
+/**
+ * Runs a task repeatedly, waiting for each run to settle before scheduling
+ * the next one, so that runs never overlap.
+ *
+ * @param {function} run        Start a run; returns a promise
+ * @param {object}   options    { interval, pauseWhenHidden, shouldStop, onStop }
+ * @constructor
+ */
+function Poller (run, options) {
+    this.run = run;
+    this.interval = options.interval;
+    this.pauseWhenHidden = Boolean(options.pauseWhenHidden);
+    this.shouldStop = options.shouldStop || (() => false);
+    this.onStop = options.onStop || (() => {});
+    this.timer = null;
+    this.onVisible = null;
+    this.stopped = false;
+}
+
+Poller.prototype.start = function () {
+    this.__tick();
+};
+
+Poller.prototype.stop = function () {
+    if (this.stopped) return;
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.__stopWaitingForVisibility();
+    this.onStop();
+};
+
+Poller.prototype.isStopped = function () {
+    return this.stopped;
+};
+
+Poller.prototype.__tick = function () {
+    if (this.stopped) return;
+    if (this.pauseWhenHidden && __isHidden()) {
+        this.__waitForVisibility();
+        return;
+    }
+    // Keep polling after processor errors; they're already dispatched as PROCESSOR_ERROR
+    this.run().catch(() => undefined).then(() => {
+        if (this.stopped) return;
+        if (this.shouldStop()) {
+            this.stop();
+        } else {
+            this.timer = setTimeout(() => this.__tick(), this.interval);
+        }
+    });
+};
+
+/**
+ * While the page is hidden, skip runs altogether, and resume as soon as the
+ * page is visible again
+ * @private
+ */
+Poller.prototype.__waitForVisibility = function () {
+    this.onVisible = () => {
+        if (__isHidden()) return;
+        this.__stopWaitingForVisibility();
+        this.__tick();
+    };
+    document.addEventListener('visibilitychange', this.onVisible);
+};
+
+Poller.prototype.__stopWaitingForVisibility = function () {
+    if (!this.onVisible) return;
+    document.removeEventListener('visibilitychange', this.onVisible);
+    this.onVisible = null;
+};
+
+function __isHidden () {
+    return typeof document !== 'undefined' && Boolean(document.hidden);
+}
+
+module.exports = Poller;
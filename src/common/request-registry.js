@@ -0,0 +1,73 @@
+'use strict';
+
+const createStoreScope = require('./store-scope');
+
+/**
+ * Tracks the in-flight request of each entity, so that concurrent loads can
+ * be deduplicated and pending loads can be cancelled. Requests are kept per
+ * store (see store-scope); request ids are unique across stores.
+ */
+let lastRequestId = 0;
+const getPending = createStoreScope();
+
+module.exports = {
+    /**
+     * Generate a monotonically increasing request id. Later requests always
+     * receive higher ids, which lets the reducer discard out-of-order responses.
+     * @return {number}
+     */
+    nextRequestId () {
+        return ++lastRequestId;
+    },
+    /**
+     * Build the registry key of an entity, scoped to its store's namespace
+     * and to its params
+     * @param  {string} name        Entity name
+     * @param  {string} namespace   Store namespace, if any
+     * @param  {string} paramsKey   Params key (see getParamsKey), if any
+     * @return {string}
+     */
+    getKey (name, namespace, paramsKey) {
+        const key = namespace ? `${namespace}/${name}` : name;
+        return paramsKey ? `${key}?${paramsKey}` : key;
+    },
+    /**
+     * Get the in-flight request for an entity
+     * @param  {function} dispatch  Dispatch function of the entity's store
+     * @param  {string}   key       Registry key
+     * @return {object}             { requestId, promise, controller, cancelled }, or undefined
+     */
+    get (dispatch, key) {
+        return getPending(dispatch)[key];
+    },
+    register (dispatch, key, entry) {
+        getPending(dispatch)[key] = entry;
+        return entry;
+    },
+    /**
+     * Remove an entry once it settles, unless a newer request has replaced it
+     * @param {function} dispatch
+     * @param {string}   key
+     * @param {object}   entry
+     */
+    release (dispatch, key, entry) {
+        const pending = getPending(dispatch);
+        if (pending[key] === entry) delete pending[key];
+    },
+    /**
+     * Flag the in-flight request as cancelled, and abort it if it was started
+     * from a promise factory.
+     * @param  {function} dispatch
+     * @param  {string}   key
+     * @return {object}             The cancelled entry, or undefined
+     */
+    cancel (dispatch, key) {
+        const pending = getPending(dispatch);
+        const entry = pending[key];
+        if (!entry) return undefined;
+        entry.cancelled = true;
+        if (entry.controller) entry.controller.abort();
+        delete pending[key];
+        return entry;
+    }
+};
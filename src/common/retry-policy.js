@@ -0,0 +1,79 @@
+'use strict';
+
+const { BACKOFF } = require('./entity-const');
+
+/**
+ * Decides whether a failed request should be retried, and how long to wait
+ * before the next attempt.
+ *
+ * @param {object} options      { attempts, backoff, delay, maxDelay, jitter, shouldRetry }
+ * @constructor
+ */
+function RetryPolicy (options) {
+    this.attempts = 0;
+    this.backoff = BACKOFF.EXPONENTIAL;
+    this.delay = 1000;
+    this.maxDelay = 30000;
+    this.jitter = 0;
+    this.shouldRetry = null;
+
+    if (options) {
+        this.__init(options);
+    }
+}
+
+RetryPolicy.prototype.__init = function (options) {
+    if (options.constructor !== Object) throw new Error('Expected retry to be an object');
+    if (options.backoff && typeof options.backoff !== 'function' && !__isStrategy(options.backoff)) {
+        throw new Error(`Unknown backoff strategy "${options.backoff}"`);
+    }
+    if (options.shouldRetry && typeof options.shouldRetry !== 'function') throw new Error('shouldRetry must be a function');
+    if (options.attempts) this.attempts = options.attempts;
+    if (options.backoff) this.backoff = options.backoff;
+    if (options.delay !== undefined) this.delay = options.delay;
+    if (options.maxDelay !== undefined) this.maxDelay = options.maxDelay;
+    if (options.jitter) this.jitter = options.jitter === true ? 1 : options.jitter;
+    if (options.shouldRetry) this.shouldRetry = options.shouldRetry;
+};
+
+/**
+ * @param  {*}      error       Rejection of the latest attempt
+ * @param  {number} retryCount  Number of retries made so far
+ * @return {boolean}
+ */
+RetryPolicy.prototype.canRetry = function (error, retryCount) {
+    if (retryCount >= this.attempts) return false;
+    return !this.shouldRetry || Boolean(this.shouldRetry(error, retryCount));
+};
+
+/**
+ * Milliseconds to wait before the given retry. With jitter, the delay is
+ * randomly reduced by up to that fraction of itself to spread out clients.
+ * @param  {number} retryCount  1 for the first retry, 2 for the second, ...
+ * @return {number}
+ */
+RetryPolicy.prototype.getDelay = function (retryCount) {
+    const delay = Math.min(this.__getBaseDelay(retryCount), this.maxDelay);
+    return Math.round(delay - (Math.random() * delay * this.jitter));
+};
+
+RetryPolicy.prototype.__getBaseDelay = function (retryCount) {
+    if (typeof this.backoff === 'function') return this.backoff(retryCount, this.delay);
+    switch (this.backoff) {
+        case BACKOFF.FIXED: {
+            return this.delay;
+        }
+        case BACKOFF.LINEAR: {
+            return this.delay * retryCount;
+        }
+        default: {
+            return this.delay * Math.pow(2, retryCount - 1);
+        }
+    }
+};
+
+function __isStrategy (backoff) {
+    return Object.keys(BACKOFF).some(key => BACKOFF[key] === backoff);
+}
+
+module.exports = RetryPolicy;
@@ -0,0 +1,21 @@
+'use strict';
+
+/**
+ * Keep module state per Redux store rather than per process, so that separate
+ * stores (e.g. one per request when rendering on the server) never share
+ * in-flight requests, pollers or page sources.
+ *
+ * Stores are told apart by their dispatch function: the thunk middleware
+ * passes the same one to every thunk of a store, and so do processors and the
+ * entity middleware.
+ *
+ * @return {function}   Function of dispatch, returning that store's own object
+ */
+module.exports = function createStoreScope () {
+    const scopes = new WeakMap();
+    return function getScope (dispatch) {
+        if (typeof dispatch !== 'function') throw new Error('dispatch must be a function');
+        if (!scopes.has(dispatch)) scopes.set(dispatch, {});
+        return scopes.get(dispatch);
+    };
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const loadEntity = require('./thunk');
+const cancelEntity = require('./cancel');
+const registry = require('./common/request-registry');
+const { createActionCreators } = require('./action-creators');
+const { createSelectors } = require('./selectors');
+const { registerFetcher } = require('./middleware');
+const { getParamsKey, withParamsKey } = require('./common/params');
+
+/**
+ * Entities defined with defineEntity(), keyed like the request registry
+ */
+const definitions = {};
+
+/**
+ * Define an entity once, and get ready-made thunks, action creators and
+ * selectors for it, instead of repeating its name and options in each thunk.
+ * Each name can only be defined once per namespace, so that a typo can't
+ * silently create a second entity.
+ *
+ *   Example: const orders = defineEntity('orders', {
+ *                fetch  : ({ customerId }, signal) => OrderService.getOrders(customerId),
+ *                options: { staleTime: 30000 }
+ *            });
+ *            dispatch(orders.load({ customerId: 7 }));
+ *            orders.getData(state);
+ *
+ * The fetch function is also registered with the entity middleware (see
+ * registerFetcher), so loadEntityAction() loads defined entities as well.
+ *
+ * @param  {string} name            Entity name
+ * @param  {object} definition      { fetch, options, schema, ttl }; schema and ttl are shorthands for options
+ * @return {object}                 Entity definition
+ */
+function defineEntity (name, definition) {
+    if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+    if (!definition || definition.constructor !== Object) throw new Error('Expected definition to be an object');
+    if (typeof definition.fetch !== 'function') throw new Error('fetch must be a function');
+    if (definition.options && definition.options.constructor !== Object) throw new Error('Expected options to be an object');
+
+    const { fetch, schema, ttl } = definition;
+    const options = Object.assign({}, definition.options, schema ? { schema } : null, ttl ? { ttl } : null);
+    const { namespace, prefix, mountPoint } = options;
+    const key = registry.getKey(name, namespace);
+    if (definitions[key]) throw new Error(`Entity "${name}" is already defined`);
+
+    const actionCreators = createActionCreators(namespace, prefix);
+    const selectors = createSelectors(mountPoint);
+    definitions[key] = {
+        name,
+        options,
+        /**
+         * @param  {*}      request     Argument of the fetch function
+         * @param  {object} overrides   Options of this load only
+         * @return {function}           loadEntity() thunk
+         */
+        load (request, overrides) {
+            return loadEntity(
+                name,
+                (signal, cursor, dependencies) => fetch(request, signal, cursor, dependencies),
+                Object.assign({}, options, overrides)
+            );
+        },
+        reset          : params => withParamsKey(actionCreators.resetEntity(name, Date.now()), __getParamsKey(params)),
+        delete         : params => withParamsKey(actionCreators.deleteEntity(name), __getParamsKey(params)),
+        invalidate     : params => withParamsKey(actionCreators.invalidateEntity(name), __getParamsKey(params)),
+        cancel         : params => cancelEntity(name, { namespace, prefix, params }),
+        getEntity      : (state, params) => selectors.getEntity(state, name, params),
+        getData        : (state, params) => selectors.getEntityData(state, name, params),
+        isFetching     : (state, params) => selectors.isEntityFetching(state, name, params),
+        getError       : (state, params) => selectors.getEntityError(state, name, params),
+        getLastUpdated : (state, params) => selectors.getEntityLastUpdated(state, name, params),
+        isLoaded       : (state, params) => selectors.isEntityLoaded(state, name, params),
+        /**
+         * Rebuild the entity's data from the normalized tables, if it has a schema
+         */
+        getDenormalized: (state, params) => selectors.getDenormalizedEntity(state, name, options.schema, params)
+    };
+    registerFetcher(name, fetch, namespace);
+    return definitions[key];
+}
+
+/**
+ * Look up a defined entity by name
+ * @param  {string} name        Entity name
+ * @param  {string} namespace   Namespace the entity was defined with, if any
+ * @return {object}             Entity definition
+ */
+function getEntityDefinition (name, namespace) {
+    const definition = definitions[registry.getKey(name, namespace)];
+    if (!definition) throw new Error(`Unknown entity "${name}"`);
+    return definition;
+}
+
+function __getParamsKey (params) {
+    return params ? getParamsKey(params) : null;
+}
+
+module.exports = {
+    defineEntity,
+    getEntityDefinition
+};
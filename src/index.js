@@ -2,11 +2,81 @@
 
 const reducer = require('./reducer');
 const thunk = require('./thunk');
+const loadEntities = require('./load-entities');
+const mutateEntity = require('./mutate');
+const cancelEntity = require('./cancel');
+const loadNextPage = require('./pagination');
+const records = require('./records');
+const polling = require('./polling');
+const middleware = require('./middleware');
+const persistence = require('./persistence');
+const ssr = require('./ssr');
+const { defineEntity, getEntityDefinition } = require('./define-entity');
 const actionCreators = require('./action-creators');
+const selectors = require('./selectors');
+const EntitySchema = require('./schema');
+const actionTypes = require('./common/action-types');
+const { getParamsKey } = require('./common/params');
+const { addGlobalProcessor } = require('./common/global-processors');
+const { normalizeError, classifyError, TimeoutError } = require('./common/errors');
+const { ACTION_TYPES, ERROR_KIND } = require('./common/entity-const');
 
 module.exports = {
-    entities    : reducer,
-    loadEntity  : thunk,
-    resetEntity : actionCreators.resetEntity,
-    deleteEntity: actionCreators.deleteEntity
+    entities               : reducer,
+    createEntityReducer    : reducer.createEntityReducer,
+    createActionCreators   : actionCreators.createActionCreators,
+    makeActionCreator      : actionCreators.makeActionCreator,
+    makeEntityActionCreator: actionCreators.makeEntityActionCreator,
+    ACTION_TYPES           : ACTION_TYPES,
+    ERROR_KIND             : ERROR_KIND,
+    getActionTypes         : actionTypes.getActionTypes,
+    isEntityAction         : actionTypes.isEntityAction,
+    getEntityActionType    : actionTypes.getEntityActionType,
+    loadEntity             : thunk,
+    loadEntities           : loadEntities,
+    mutateEntity           : mutateEntity,
+    createRecord           : records.createRecord,
+    updateRecord           : records.updateRecord,
+    removeRecord           : records.removeRecord,
+    upsertRecords          : records.upsertRecords,
+    pollEntity             : polling.pollEntity,
+    stopPolling            : polling.stopPolling,
+    entityMiddleware       : middleware.entityMiddleware,
+    createEntityMiddleware : middleware.createEntityMiddleware,
+    registerFetcher        : middleware.registerFetcher,
+    createPersistence      : persistence.createPersistence,
+    createMemoryStorage    : persistence.createMemoryStorage,
+    createWebStorage       : persistence.createWebStorage,
+    rehydrateEntities      : actionCreators.rehydrateEntities,
+    prefetchEntities       : ssr.prefetchEntities,
+    dehydrate              : ssr.dehydrate,
+    hydrate                : ssr.hydrate,
+    loadEntityAction       : actionCreators.loadEntityAction,
+    defineEntity           : defineEntity,
+    getEntityDefinition    : getEntityDefinition,
+    addGlobalProcessor     : addGlobalProcessor,
+    normalizeError         : normalizeError,
+    classifyError          : classifyError,
+    TimeoutError           : TimeoutError,
+    resetEntity            : actionCreators.resetEntity,
+    deleteEntity           : actionCreators.deleteEntity,
+    resetEntityByParams    : actionCreators.resetEntityByParams,
+    deleteEntityByParams   : actionCreators.deleteEntityByParams,
+    getParamsKey           : getParamsKey,
+    cancelEntity           : cancelEntity,
+    invalidateEntity       : actionCreators.invalidateEntity,
+    loadNextPage           : loadNextPage,
+    resetPagination        : actionCreators.resetPagination,
+    EntitySchema           : EntitySchema,
+    createSelectors        : selectors.createSelectors,
+    getEntity              : selectors.getEntity,
+    getEntityData          : selectors.getEntityData,
+    isEntityFetching       : selectors.isEntityFetching,
+    getEntityError         : selectors.getEntityError,
+    getEntityLastUpdated   : selectors.getEntityLastUpdated,
+    isEntityLoaded         : selectors.isEntityLoaded,
+    makeCombinedSelector   : selectors.makeCombinedSelector,
+    getDenormalizedEntity  : selectors.getDenormalizedEntity,
+    getRecordById          : selectors.getRecordById,
+    getAllRecords          : selectors.getAllRecords
 };
@@ -0,0 +1,68 @@
+'use strict';
+
+const dependencies = require('./common/dependencies');
+const { STATUS } = require('./common/entity-const');
+
+/**
+ * Redux thunk action creator loading several entities in parallel. Every load
+ * runs to completion, whether the others succeed or not, and the thunk
+ * resolves (it never rejects) once all of them have settled.
+ *
+ * Each thunk has a result: the status, data and error of its entity, read from
+ * state for thunks created by loadEntity(), or else what the thunk resolved or
+ * rejected with. The aggregate status is 'error' if any of them failed,
+ * 'success' if all of them succeeded, and 'idle' otherwise (e.g. a load was
+ * cancelled). While the loads are pending, makeCombinedSelector() provides a
+ * combined isFetching flag.
+ *
+ *   Example: dispatch(loadEntities([
+ *                loadEntity('customer', () => CustomerService.getCurrent()),
+ *                loadEntity('orders', () => OrderService.getOrders())
+ *            ])).then(({ status, results }) => ...);
+ *
+ * @param  {Array} thunks       Thunks (e.g. loadEntity(...)) to dispatch
+ * @return {function}           Resolves with { status, results }
+ */
+module.exports = function loadEntities (thunks) {
+    if (!Array.isArray(thunks)) throw new Error('Expected thunks to be an array');
+    return (dispatch, getState) => {
+        return Promise.all(thunks.map(thunk => __settle(thunk, dispatch, getState)))
+            .then(results => ({ status: __aggregate(results), results }));
+    };
+};
+
+/**
+ * Capture synchronous errors as rejections, so that every thunk settles
+ * @private
+ */
+function __settle (thunk, dispatch, getState) {
+    return Promise.resolve()
+        .then(() => dispatch(thunk))
+        .then(
+            value => __getResult(thunk, getState, value, null),
+            error => __getResult(thunk, getState, undefined, error)
+        );
+}
+
+function __getResult (thunk, getState, value, error) {
+    if (!dependencies.isDescribed(thunk) || typeof getState !== 'function') {
+        return {
+            name  : null,
+            status: error ? STATUS.ERROR : STATUS.SUCCESS,
+            data  : error ? null : value,
+            error
+        };
+    }
+    const entity = dependencies.getEntity(thunk, getState);
+    return {
+        name  : thunk.entityName,
+        status: error ? STATUS.ERROR : (entity ? entity.status : STATUS.IDLE),
+        data  : entity ? entity.data : null,
+        error : error || (entity ? entity.error : null)
+    };
+}
+
+function __aggregate (results) {
+    if (results.some(result => result.status === STATUS.ERROR)) return STATUS.ERROR;
+    return results.every(result => result.status === STATUS.SUCCESS) ? STATUS.SUCCESS : STATUS.IDLE;
+}
@@ -0,0 +1,75 @@
+'use strict';
+
+const loadEntity = require('./thunk');
+const registry = require('./common/request-registry');
+const { getActionTypes } = require('./common/action-types');
+
+/**
+ * Fetchers registered with registerFetcher(), shared by every middleware of
+ * the same namespace, and keyed like the request registry
+ */
+const registeredFetchers = {};
+
+/**
+ * Build a Redux middleware that loads entities in response to plain
+ * LOAD_ENTITY actions (see loadEntityAction), so that loads don't require
+ * redux-thunk, and can be logged, replayed, or dispatched from sagas and epics.
+ *
+ * Each entity is loaded with its fetcher: a function of the action's request
+ * (and, like promise factories, an AbortSignal) returning a promise. The
+ * LOAD_ENTITY action is passed on to the next middleware before loading, and
+ * dispatching it returns the promise of the load.
+ *
+ *   Example: const middleware = createEntityMiddleware({
+ *                fetchers: { orders: ({ customerId }) => OrderService.getOrders(customerId) }
+ *            });
+ *            store.dispatch(loadEntityAction('orders', { customerId: 7 }));
+ *
+ * @param  {object} options     { fetchers, namespace, prefix, mountPoint }
+ * @return {function}           Redux middleware
+ */
+function createEntityMiddleware (options) {
+    if (options && options.constructor !== Object) throw new Error('Expected options to be an object');
+    const { fetchers, namespace, prefix, mountPoint } = options || {};
+    const types = getActionTypes(namespace, prefix);
+    const defaults = __compact({ namespace, prefix, mountPoint });
+
+    return store => next => action => {
+        if (!action || action.type !== types.LOAD_ENTITY) return next(action);
+        const fetcher = (fetchers && fetchers[action.entity]) || registeredFetchers[registry.getKey(action.entity, namespace)];
+        if (typeof fetcher !== 'function') throw new Error(`No fetcher registered for entity "${action.entity}"`);
+
+        next(action);
+        return loadEntity(
+            action.entity,
+            (signal, cursor, dependencies) => fetcher(action.request, signal, cursor, dependencies),
+            Object.assign({}, defaults, action.options)
+        )(store.dispatch, store.getState);
+    };
+}
+
+function __compact (obj) {
+    return Object.keys(obj).reduce((compacted, key) => {
+        if (obj[key] !== undefined) compacted[key] = obj[key];
+        return compacted;
+    }, {});
+}
+
+module.exports = {
+    createEntityMiddleware,
+    /**
+     * Default middleware, which only uses fetchers registered with registerFetcher()
+     */
+    entityMiddleware: createEntityMiddleware(),
+    /**
+     * Register the fetcher of an entity with every entity middleware of the namespace
+     * @param {string}   name       Entity name
+     * @param {function} fetcher    Function of (request, signal) returning a promise
+     * @param {string}   namespace  Namespace of the middleware, if any
+     */
+    registerFetcher (name, fetcher, namespace) {
+        if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+        if (typeof fetcher !== 'function') throw new Error('fetcher must be a function');
+        registeredFetchers[registry.getKey(name, namespace)] = fetcher;
+    }
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+const EntityLifecycle = require('./common/entity-lifecycle');
+const entityRequest = require('./common/entity-request');
+
+/**
+ * Redux thunk action creator for changing an entity on the server. The
+ * entity's data is replaced by the optimistic data right away, then by the
+ * resolved data. If the promise rejects, the data is rolled back to what it
+ * was before the mutation, and the error is recorded.
+ *
+ * Mutations are always silent, and accept the same options as loadEntity(),
+ * plus optimisticData: a value, or a function of the current data.
+ *
+ * @param {string}           name       Entity name
+ * @param {Promise|function} promise    Promise (e.g. OrderService.saveOrder(order)), or a function returning one
+ * @param {object}           options    Configuration options object
+ * @return {function}                   Perform the mutation, dispatch Redux actions accordingly
+ */
+module.exports = function mutateEntity (
+    name,
+    promise,
+    options
+) {
+    entityRequest.validateArguments(name, promise, options);
+    return (dispatch, getState) => {
+        const _el = new EntityLifecycle(name, Object.assign({}, options, { silent: true }));
+        _el.setDispatch(dispatch);
+        _el.setGetState(getState);
+
+        const entity = entityRequest.getEntity(getState, _el);
+        const snapshot = entity ? entity.data : null;
+        _el.takeSnapshot(snapshot);
+
+        if (options && options.hasOwnProperty('optimisticData')) {
+            _el.onOptimisticUpdate(
+                typeof options.optimisticData === 'function'
+                    ? options.optimisticData(snapshot)
+                    : options.optimisticData
+            );
+        }
+
+        return entityRequest.run(_el, promise);
+    };
+};
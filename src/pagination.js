@@ -0,0 +1,48 @@
+'use strict';
+
+const EntityLifecycle = require('./common/entity-lifecycle');
+const entityRequest = require('./common/entity-request');
+const registry = require('./common/request-registry');
+const pageSources = require('./common/page-sources');
+const { getParamsKey } = require('./common/params');
+
+/**
+ * Redux thunk action creator for loading the next page of an entity that was
+ * loaded with the paginate option. The page is requested with the promise
+ * factory and options of the latest loadEntity() call, and appended to the
+ * entity's data.
+ *
+ * Resolves without loading if there are no more pages. While a page is
+ * pending, the pending request is returned instead of loading it again.
+ *
+ * @param {string} name         Entity name
+ * @param {object} options      { namespace, params } the entity was loaded with, if any
+ * @return {function}           Load the next page, dispatch Redux actions accordingly
+ */
+module.exports = function loadNextPage (name, options) {
+    if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+    const { namespace, params } = options || {};
+    return (dispatch, getState) => {
+        const key = registry.getKey(name, namespace, params ? getParamsKey(params) : null);
+        const source = pageSources.get(dispatch, key);
+        if (!source) throw new Error(`Entity "${name}" was not loaded with the paginate option`);
+
+        const _el = new EntityLifecycle(name, source.options);
+        _el.setDispatch(dispatch);
+        _el.setGetState(getState);
+
+        const inFlight = registry.get(dispatch, key);
+        if (inFlight) {
+            return inFlight.promise;
+        }
+
+        const entity = entityRequest.getEntity(getState, _el);
+        const pagination = entity && entity.pagination;
+        if (!pagination || !pagination.hasMore) {
+            return Promise.resolve();
+        }
+
+        _el.setCursor(pagination.nextCursor);
+        return entityRequest.run(_el, source.factory);
+    };
+};
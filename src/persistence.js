@@ -0,0 +1,223 @@
+'use strict';
+/* global localStorage */
+
+const { createActionCreators } = require('./action-creators');
+const { createSelectors } = require('./selectors');
+const { isEntityAction } = require('./common/action-types');
+const { TABLES_KEY, DEFAULT_MOUNT_POINT } = require('./common/entity-const');
+
+const DEFAULT_STORAGE_KEY = 'redux-entity';
+
+/**
+ * Save entities to a storage adapter, and restore them when the app reloads,
+ * so that data fetched by a previous session is shown while it's reloaded.
+ *
+ * Storage adapters implement getItem(key), setItem(key, value) and
+ * removeItem(key), any of which may return a promise (see createMemoryStorage
+ * and createWebStorage). Only the entities listed in the entities option are
+ * saved, each with an optional maxAge: entities older than that, judging by
+ * lastUpdated, are not restored.
+ *
+ *   Example: const persistence = createPersistence({
+ *                storage : createWebStorage(),
+ *                entities: { orders: { maxAge: 3600000 }, customers: true },
+ *                version : 2,
+ *                migrations: { 2: entities => renameOrderIds(entities) }
+ *            });
+ *            const store = createStore(reducer, applyMiddleware(thunk, persistence.middleware));
+ *            store.dispatch(persistence.rehydrate());
+ *
+ * Saved entities are stamped with the version option. When restoring entities
+ * saved by an older version, the migrations of each newer version run in order.
+ *
+ * @param  {object} options     { storage, entities, key, version, migrations, tables, mountPoint, namespace, prefix, onError }
+ * @return {object}             { middleware, rehydrate, purge }
+ */
+function createPersistence (options) {
+    if (!options || options.constructor !== Object) throw new Error('Expected options to be an object');
+    const { storage, entities, namespace, prefix, mountPoint, tables } = options;
+    if (!storage || typeof storage.getItem !== 'function' || typeof storage.setItem !== 'function') {
+        throw new Error('Expected storage to implement getItem and setItem');
+    }
+    if (!entities || entities.constructor !== Object) throw new Error('Expected entities to be an object');
+    if (options.migrations && options.migrations.constructor !== Object) throw new Error('Expected migrations to be an object');
+
+    const key = options.key || DEFAULT_STORAGE_KEY;
+    const version = options.version || 0;
+    const onError = options.onError || (() => undefined);
+    const getEntities = createSelectors(mountPoint || DEFAULT_MOUNT_POINT).getEntities;
+    const actionCreators = createActionCreators(namespace, prefix);
+    let rehydrated = false;
+    let saved = null;
+
+    function save (state) {
+        const current = getEntities(state);
+        const selected = __select(current, entities);
+        if (saved && __isUnchanged(saved, selected)) return;
+        saved = selected;
+        const payload = { version, entities: selected };
+        if (tables && current[TABLES_KEY]) payload.tables = current[TABLES_KEY];
+        __call(() => storage.setItem(key, payload), onError);
+    }
+
+    return {
+        /**
+         * Save the entities after each entity action, once they're rehydrated.
+         * Until then, saving would overwrite the previous session's entities.
+         */
+        middleware: store => next => action => {
+            const result = next(action);
+            if (rehydrated && isEntityAction(action, prefix)) save(store.getState());
+            return result;
+        },
+        /**
+         * Redux thunk action creator restoring the saved entities
+         * @return {function}   Resolves with the restored entities
+         */
+        rehydrate () {
+            return (dispatch) => {
+                return Promise.resolve()
+                    .then(() => storage.getItem(key))
+                    .then(payload => {
+                        rehydrated = true;
+                        if (!payload || payload.version > version) return {};
+                        const restored = __dropExpired(
+                            __migrate(payload.entities || {}, payload.version || 0, version, options.migrations || {}),
+                            entities,
+                            Date.now()
+                        );
+                        dispatch(actionCreators.rehydrateEntities(restored, tables ? payload.tables : undefined));
+                        return restored;
+                    }, error => {
+                        rehydrated = true;
+                        onError(error);
+                        return {};
+                    });
+            };
+        },
+        /**
+         * Remove the saved entities, e.g. on logout
+         * @return {Promise}
+         */
+        purge () {
+            saved = null;
+            return Promise.resolve()
+                .then(() => (storage.removeItem ? storage.removeItem(key) : storage.setItem(key, null)));
+        }
+    };
+}
+
+/**
+ * Storage adapter keeping values in memory, e.g. for tests and server rendering
+ * @return {object}     Storage adapter
+ */
+function createMemoryStorage () {
+    const items = {};
+    return {
+        getItem (key) {
+            return items.hasOwnProperty(key) ? items[key] : null;
+        },
+        setItem (key, value) {
+            items[key] = value;
+        },
+        removeItem (key) {
+            delete items[key];
+        }
+    };
+}
+
+/**
+ * Storage adapter for localStorage, or any object with the same interface
+ * (e.g. sessionStorage). Values are saved as JSON.
+ * @param  {object} webStorage      Defaults to localStorage
+ * @return {object}                 Storage adapter
+ */
+function createWebStorage (webStorage) {
+    const target = webStorage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    if (!target) throw new Error('Missing required web storage');
+    return {
+        getItem (key) {
+            const value = target.getItem(key);
+            return value === null || value === undefined ? null : JSON.parse(value);
+        },
+        setItem (key, value) {
+            target.setItem(key, JSON.stringify(value));
+        },
+        removeItem (key) {
+            target.removeItem(key);
+        }
+    };
+}
+
+/**
+ * Pick the entities to save. Entities that never loaded have nothing to show.
+ * @private
+ */
+function __select (current, entities) {
+    return Object.keys(entities).reduce((selected, name) => {
+        if (entities[name] && current[name] && (current[name].lastUpdated || current[name].byParams)) {
+            selected[name] = current[name];
+        }
+        return selected;
+    }, {});
+}
+
+function __isUnchanged (saved, selected) {
+    const names = Object.keys(selected);
+    return names.length === Object.keys(saved).length && names.every(name => saved[name] === selected[name]);
+}
+
+/**
+ * Run the migrations of each version newer than the saved one, in order
+ * @private
+ */
+function __migrate (saved, savedVersion, version, migrations) {
+    return Object.keys(migrations)
+        .map(Number)
+        .filter(target => target > savedVersion && target <= version)
+        .sort((a, b) => a - b)
+        .reduce((migrated, target) => migrations[target](migrated), saved);
+}
+
+/**
+ * Drop entities that are no longer listed, or older than their maxAge
+ * @private
+ */
+function __dropExpired (saved, entities, now) {
+    return Object.keys(saved).reduce((restored, name) => {
+        if (!entities[name]) return restored;
+        const maxAge = entities[name].maxAge;
+        if (saved[name].byParams) {
+            const byParams = __dropExpired(saved[name].byParams, __allowEach(saved[name].byParams, entities[name]), now);
+            if (Object.keys(byParams).length) restored[name] = { byParams };
+        } else if (!maxAge || now - saved[name].lastUpdated <= maxAge) {
+            restored[name] = saved[name];
+        }
+        return restored;
+    }, {});
+}
+
+function __allowEach (byParams, setting) {
+    return Object.keys(byParams).reduce((allowed, paramsKey) => {
+        allowed[paramsKey] = setting;
+        return allowed;
+    }, {});
+}
+
+/**
+ * Report failures to save, whether the adapter throws or rejects
+ * @private
+ */
+function __call (fn, onError) {
+    try {
+        Promise.resolve(fn()).catch(onError);
+    } catch (error) {
+        onError(error);
+    }
+}
+
+module.exports = {
+    createPersistence,
+    createMemoryStorage,
+    createWebStorage
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const loadEntity = require('./thunk');
+const Poller = require('./common/poller');
+const entityRequest = require('./common/entity-request');
+const registry = require('./common/request-registry');
+const createStoreScope = require('./common/store-scope');
+const { createActionCreators } = require('./action-creators');
+const { createSelectors } = require('./selectors');
+const { getParamsKey, withParamsKey } = require('./common/params');
+
+/**
+ * Active pollers of each store (see store-scope), keyed like the request
+ * registry. Only one poller runs per entity: polling an entity again replaces
+ * its previous poller.
+ */
+const getPollers = createStoreScope();
+
+/**
+ * Redux thunk action creator for reloading an entity at a fixed interval.
+ * The first load runs as configured; every following poll is silent, so the
+ * existing data stays on screen. Polls never overlap: the next one is only
+ * scheduled once the previous one settles.
+ *
+ * Accepts the options of loadEntity(), plus:
+ *   interval           Milliseconds between the end of a poll and the start of the next
+ *   pauseWhenHidden    Skip polls while the page is hidden, and poll again once visible
+ *   stopOnError        Stop polling after a failed poll
+ *
+ * @param {string}   name       Entity name
+ * @param {function} factory    Function returning a promise (e.g. () => OrderService.getOrders())
+ * @param {object}   options    Configuration options object
+ * @return {function}           Start polling; returns a handle, whose stop() stops polling
+ */
+function pollEntity (name, factory, options) {
+    entityRequest.validateArguments(name, factory, options);
+    if (typeof factory !== 'function') throw new Error('Polling requires a promise factory');
+    const { interval, pauseWhenHidden, stopOnError, namespace, prefix, params, mountPoint } = options || {};
+    if (typeof interval !== 'number' || interval <= 0) throw new Error('Expected interval to be a positive number');
+    const paramsKey = params ? getParamsKey(params) : null;
+    const actionCreators = createActionCreators(namespace, prefix);
+
+    return (dispatch, getState) => {
+        const key = registry.getKey(name, namespace, paramsKey);
+        const pollers = getPollers(dispatch);
+        if (pollers[key]) pollers[key].stop();
+
+        let polls = 0;
+        const poller = new Poller(
+            () => dispatch(loadEntity(name, factory, polls++ ? Object.assign({}, options, { silent: true }) : options)),
+            {
+                interval,
+                pauseWhenHidden,
+                shouldStop: () => Boolean(stopOnError) && Boolean(createSelectors(mountPoint).getEntityError(getState(), name, params)),
+                onStop    : () => {
+                    if (pollers[key] === poller) delete pollers[key];
+                    dispatch(withParamsKey(actionCreators.pollStop(name), paramsKey));
+                }
+            }
+        );
+        pollers[key] = poller;
+        dispatch(withParamsKey(actionCreators.pollStart(name, interval), paramsKey));
+        poller.start();
+
+        return {
+            stop: () => poller.stop()
+        };
+    };
+}
+
+/**
+ * Redux thunk action creator for stopping an entity's poller
+ * @param {string} name         Entity name
+ * @param {object} options      { namespace, params } the entity is polled with, if any
+ * @return {function}
+ */
+function stopPolling (name, options) {
+    if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
+    const { namespace, params } = options || {};
+    return (dispatch) => {
+        const poller = getPollers(dispatch)[registry.getKey(name, namespace, params ? getParamsKey(params) : null)];
+        if (poller) poller.stop();
+    };
+}
+
+module.exports = {
+    pollEntity,
+    stopPolling
+};
@@ -0,0 +1,116 @@
+'use strict';
+
+const React = require('react');
+const { useDispatch, useSelector } = require('react-redux');
+const loadEntity = require('./thunk');
+const entityRequest = require('./common/entity-request');
+const { createSelectors } = require('./selectors');
+const { getBoundaryState } = require('./common/boundary');
+const { BOUNDARY_STATE, STATUS } = require('./common/entity-const');
+
+/**
+ * React bindings, published as redux-entity/react. They require react and
+ * react-redux (with hooks, i.e. 7.1 or later), which the rest of redux-entity
+ * doesn't depend on.
+ */
+
+/**
+ * Load an entity when the component mounts, and again whenever deps change,
+ * and read it from the store.
+ *
+ *   Example: const { data, error, isFetching, reload } = useEntity(
+ *                'orders',
+ *                signal => OrderService.getOrders(customerId, { signal }),
+ *                [customerId],
+ *                { staleTime: 30000 }
+ *            );
+ *
+ * @param  {string}   name      Entity name
+ * @param  {function} loader    Function returning a promise (e.g. () => OrderService.getOrders())
+ * @param  {Array}    deps      Values the load depends on, as with useEffect
+ * @param  {object}   options   Configuration options object (see loadEntity)
+ * @return {object}             { data, error, isFetching, status, reload }
+ */
+function useEntity (name, loader, deps, options) {
+    entityRequest.validateArguments(name, loader, options);
+    if (typeof loader !== 'function') throw new Error('loader must be a function');
+    const dispatch = useDispatch();
+    const latest = React.useRef();
+    latest.current = { loader, options };
+
+    React.useEffect(() => {
+        // Failures are on the entity; the load only rejects on processor errors, recorded by PROCESSOR_ERROR
+        dispatch(loadEntity(name, loader, options)).catch(() => undefined);
+    }, [name].concat(deps || []));
+
+    const reload = React.useCallback(() => {
+        const current = latest.current;
+        return dispatch(loadEntity(name, current.loader, Object.assign({}, current.options, { force: true })));
+    }, [dispatch, name]);
+
+    const entity = useSelector(state => __selectEntity(state, name, options));
+    return {
+        data      : entity ? entity.data : null,
+        error     : entity ? entity.error : null,
+        isFetching: Boolean(entity && entity.isFetching),
+        status    : entity ? entity.status : STATUS.IDLE,
+        reload
+    };
+}
+
+/**
+ * Render an entity, or whichever of the loading, error and empty render props
+ * applies to it. Data kept on screen while refreshing, or by keepDataOnError,
+ * is rendered as is.
+ *
+ *   Example: <EntityBoundary
+ *                name="orders"
+ *                loading={() => <Spinner />}
+ *                error={error => <Alert>{error.message}</Alert>}
+ *                empty={() => <p>No orders yet</p>}>
+ *                {orders => <OrderList orders={orders} />}
+ *            </EntityBoundary>
+ *
+ * Props: name, params and mountPoint locate the entity; loading(entity),
+ * error(error, entity), empty(entity) and children(data, entity) render it.
+ * Render props may also be elements; those left out render nothing.
+ */
+function EntityBoundary (props) {
+    if (!props.name || typeof props.name !== 'string') throw new Error('Missing required entity name');
+    const entity = useSelector(state => __selectEntity(state, props.name, props));
+
+    switch (getBoundaryState(entity)) {
+        case BOUNDARY_STATE.LOADING: {
+            return __render(props.loading, entity);
+        }
+        case BOUNDARY_STATE.ERROR: {
+            return __render(props.error, entity.error, entity);
+        }
+        case BOUNDARY_STATE.EMPTY: {
+            return __render(props.empty, entity);
+        }
+        default: {
+            return __render(props.children, entity.data, entity);
+        }
+    }
+}
+
+function __selectEntity (state, name, options) {
+    const { mountPoint, params } = options || {};
+    return createSelectors(mountPoint).getEntity(state, name, params);
+}
+
+/**
+ * Render props may also be elements, rendered as is
+ * @private
+ */
+function __render (renderProp) {
+    if (typeof renderProp !== 'function') return renderProp === undefined ? null : renderProp;
+    const rendered = renderProp.apply(null, Array.prototype.slice.call(arguments, 1));
+    return rendered === undefined ? null : rendered;
+}
+
+module.exports = {
+    useEntity,
+    EntityBoundary
+};
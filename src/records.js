@@ -0,0 +1,94 @@
+'use strict';
+
+const EntityLifecycle = require('./common/entity-lifecycle');
+const entityRequest = require('./common/entity-request');
+const { RECORD_OPERATION } = require('./common/entity-const');
+
+/**
+ * Redux thunk action creators for changing individual records of an entity
+ * whose data is an array, without loading all of it again. Records are
+ * matched by id (see the idAttribute option), or normalized against the
+ * entity's schema.
+ *
+ * While a change is pending, and if it fails, its state is kept on the
+ * entity's records property, under the record id (or the recordKey option of
+ * creations and upserts). The entity's own data, isFetching and error are only
+ * changed once the promise resolves. Processors run as they do for loadEntity().
+ */
+module.exports = {
+    /**
+     * Add the record the promise resolves with to the entity's data
+     * @param {string}           name       Entity name
+     * @param {Promise|function} promise    Promise (e.g. OrderService.addOrder(order)), or a function returning one
+     * @param {object}           options    Configuration options object, plus recordKey
+     * @return {function}
+     */
+    createRecord (name, promise, options) {
+        return __changeRecords(RECORD_OPERATION.CREATE, name, undefined, promise, options);
+    },
+    /**
+     * Replace the record of the given id by the record the promise resolves with
+     * @param {string}           name       Entity name
+     * @param {*}                id         Record id
+     * @param {Promise|function} promise    Promise (e.g. OrderService.saveOrder(order)), or a function returning one
+     * @param {object}           options    Configuration options object
+     * @return {function}
+     */
+    updateRecord (name, id, promise, options) {
+        __validateId(id);
+        return __changeRecords(RECORD_OPERATION.UPDATE, name, id, promise, options);
+    },
+    /**
+     * Remove the record of the given id once the promise resolves
+     * @param {string}           name       Entity name
+     * @param {*}                id         Record id
+     * @param {Promise|function} promise    Promise (e.g. OrderService.deleteOrder(id)), or a function returning one
+     * @param {object}           options    Configuration options object
+     * @return {function}
+     */
+    removeRecord (name, id, promise, options) {
+        __validateId(id);
+        return __changeRecords(RECORD_OPERATION.REMOVE, name, id, promise, options);
+    },
+    /**
+     * Replace or add each of the records the promise resolves with
+     * @param {string}           name       Entity name
+     * @param {Promise|function} promise    Promise resolving with a record or an array of records
+     * @param {object}           options    Configuration options object, plus recordKey
+     * @return {function}
+     */
+    upsertRecords (name, promise, options) {
+        return __changeRecords(RECORD_OPERATION.UPSERT, name, undefined, promise, options);
+    }
+};
+
+function __changeRecords (operation, name, id, promise, options) {
+    entityRequest.validateArguments(name, promise, options);
+    return (dispatch, getState) => {
+        const _el = new EntityLifecycle(name, Object.assign({}, options, { silent: true }));
+        _el.setDispatch(dispatch);
+        _el.setGetState(getState);
+        _el.setRecord(operation, __getRecordKey(_el, id, options), id);
+        return entityRequest.run(_el, promise);
+    };
+}
+
+/**
+ * Changes to an existing record are tracked under its id. New records have no
+ * id until the promise resolves, so they're tracked under the recordKey
+ * option, or the id of the request.
+ * @param _el
+ * @param id
+ * @param options
+ * @returns {*}
+ * @private
+ */
+function __getRecordKey (_el, id, options) {
+    if (id !== undefined) return id;
+    if (options && options.recordKey !== undefined) return options.recordKey;
+    return `@@request/${_el.getRequestId()}`;
+}
+
+function __validateId (id) {
+    if (id === undefined || id === null) throw new Error('Missing required record id');
+}
@@ -1,23 +1,86 @@
 'use strict';
 
 const CONST = require('./common/entity-const');
-const { ACTION_TYPES } = CONST;
+const { getActionTypes } = require('./common/action-types');
+const { mergeTables, mergeIds } = require('./common/normalizer');
+const { TABLES_KEY, ACTION_PROPS, STATUS, RECORD_OPERATION } = CONST;
 
-module.exports = function entities (state, action) {
-    if (!state) state = {};
+/**
+ * Build an entities reducer. Each reducer only responds to the action types
+ * of its namespace, so independent stores can be mounted side by side.
+ *
+ *   Example: const admin = createEntityReducer({
+ *                namespace         : 'admin',
+ *                initialEntityState: { page: 1 },
+ *                entityReducers    : { orders: (orders, action) => ... }
+ *            });
+ *
+ * @param  {object} options     { namespace, prefix, initialEntityState, entityReducers }
+ * @return {function}           Redux reducer
+ */
+function createEntityReducer (options) {
+    if (options && options.constructor !== Object) throw new Error('Expected options to be an object');
+    const { namespace, prefix, initialEntityState, entityReducers } = options || {};
+    const types = getActionTypes(namespace, prefix);
+    const config = {
+        types,
+        initialEntityState: Object.assign({}, CONST.INITIAL_ENTITY_STATE, initialEntityState),
+        responseTypes     : [types.FETCH_SUCCESS, types.FETCH_FAILURE, types.FETCH_RETRY]
+    };
+    return function entities (state, action) {
+        return __applyEntityReducers(
+            reduceEntities(state || {}, action, config),
+            action,
+            entityReducers || {}
+        );
+    };
+}
+
+function reduceEntities (state, action, config) {
+    const ACTION_TYPES = config.types;
     switch (action.type) {
-        case ACTION_TYPES.RESET_ENTITY:  // fall through
-        case ACTION_TYPES.FETCH_SUCCESS: // fall through
-        case ACTION_TYPES.FETCH_FAILURE: // fall through
+        case ACTION_TYPES.RECORD_SUCCESS: // fall through
+        case ACTION_TYPES.FETCH_SUCCESS: {
+            const current = __getEntity(state, action);
+            const nextEntity = entity(current, action, config);
+            if (nextEntity === current) return state;
+            const nextState = __setEntity(state, action, nextEntity);
+            if (action.tables) {
+                nextState[TABLES_KEY] = mergeTables(state[TABLES_KEY], action.tables);
+            }
+            return nextState;
+        }
+        case ACTION_TYPES.RESET_ENTITY:      // fall through
+        case ACTION_TYPES.RESET_PAGINATION:  // fall through
+        case ACTION_TYPES.RECORD_REQUEST:    // fall through
+        case ACTION_TYPES.RECORD_FAILURE:    // fall through
+        case ACTION_TYPES.POLL_START:        // fall through
+        case ACTION_TYPES.POLL_STOP:         // fall through
+        case ACTION_TYPES.CANCEL_ENTITY:     // fall through
+        case ACTION_TYPES.PROCESSOR_ERROR:   // fall through
+        case ACTION_TYPES.FETCH_RETRY:       // fall through
+        case ACTION_TYPES.INVALIDATE_ENTITY: // fall through
+        case ACTION_TYPES.OPTIMISTIC_UPDATE: // fall through
+        case ACTION_TYPES.FETCH_FAILURE:     // fall through
         case ACTION_TYPES.FETCH_REQUEST: {
-            return Object.assign({}, state, {
-                [action.entity]: entity(
-                    state[action.entity],
-                    action
-                )
-            });
+            return __setEntity(state, action, entity(
+                __getEntity(state, action),
+                action,
+                config
+            ));
+        }
+        case ACTION_TYPES.REHYDRATE_ENTITIES: // fall through
+        case ACTION_TYPES.HYDRATE_ENTITIES: {
+            const nextState = __rehydrate(state, action.entities || {}, config, action.lastUpdated);
+            if (action.tables) {
+                nextState[TABLES_KEY] = mergeTables(action.tables, state[TABLES_KEY] || {});
+            }
+            return nextState;
         }
         case ACTION_TYPES.DELETE_ENTITY: {
+            if (action.hasOwnProperty(ACTION_PROPS.PARAMS_KEY)) {
+                return __setEntity(state, action, undefined);
+            }
             delete state[action.entity];
             return Object.assign({}, state);
         }
@@ -25,15 +88,31 @@ module.exports = function entities (state, action) {
             return state;
         }
     }
-};
+}
+
+function entity (state, action, config) {
+    if (!state) state = Object.assign({}, config.initialEntityState);
+    if (__isOutOfOrder(state, action, config)) return state;
+    if (action.page) {
+        if (__isUnexpectedPage(state, action)) return state;
+        return Object.assign(reduceEntity(state, action, config), {
+            pagination: pagination(state.pagination, action, config)
+        });
+    }
+    return reduceEntity(state, action, config);
+}
 
-function entity (state, action) {
-    if (!state) state = Object.assign({}, CONST.INITIAL_ENTITY_STATE);
+function reduceEntity (state, action, config) {
+    const ACTION_TYPES = config.types;
     switch (action.type) {
         case ACTION_TYPES.FETCH_REQUEST: {
             return Object.assign({}, state, {
-                isFetching: true,
-                error     : null
+                isFetching : true,
+                error      : null,
+                requestId  : action.requestId,
+                retryCount : 0,
+                nextRetryAt: null,
+                status     : __hasData(state) ? STATUS.REFRESHING : STATUS.LOADING
             });
         }
         case ACTION_TYPES.FETCH_SUCCESS: {
@@ -41,28 +120,429 @@ function entity (state, action) {
                 isFetching : false,
                 lastUpdated: action.lastUpdated,
                 data       : action.append
-                                ? !state.data
-                                    ? __toArray(action.data)
-                                    : state.data.concat(__toArray(action.data))
+                                ? __appendData(state.data, action)
                                 : action.data,
-                error: null
+                error      : null,
+                requestId  : action.requestId,
+                nextRetryAt: null,
+                isStale    : false,
+                status     : STATUS.SUCCESS
             });
         }
         case ACTION_TYPES.FETCH_FAILURE: {
             return Object.assign({}, state, {
                 isFetching : false,
                 lastUpdated: action.lastUpdated,
-                data       : null,
-                error      : action.error
+                data       : __getDataOnFailure(state, action),
+                error      : action.error,
+                requestId  : action.requestId,
+                nextRetryAt: null,
+                isStale    : true,
+                status     : STATUS.ERROR
+            });
+        }
+        case ACTION_TYPES.FETCH_RETRY: {
+            return Object.assign({}, state, {
+                requestId  : action.requestId,
+                retryCount : action.retryCount,
+                nextRetryAt: action.nextRetryAt
+            });
+        }
+        case ACTION_TYPES.OPTIMISTIC_UPDATE: {
+            return Object.assign({}, state, {
+                data     : action.data,
+                requestId: action.requestId
+            });
+        }
+        // Processor errors settle the request, leaving data and error as they are
+        case ACTION_TYPES.PROCESSOR_ERROR: // fall through
+        case ACTION_TYPES.CANCEL_ENTITY: {
+            if (action.hasOwnProperty(ACTION_PROPS.RECORD_KEY)) {
+                return Object.assign({}, state, {
+                    records: __setRecord(state.records, action.recordKey, undefined)
+                });
+            }
+            if (state.requestId && action.requestId < state.requestId) return state;
+            return Object.assign({}, state, {
+                isFetching: false,
+                requestId : action.requestId,
+                status    : __getSettledStatus(state)
+            });
+        }
+        case ACTION_TYPES.INVALIDATE_ENTITY: {
+            return Object.assign({}, state, {
+                isStale: true
+            });
+        }
+        case ACTION_TYPES.RECORD_REQUEST: {
+            return Object.assign({}, state, {
+                records: __setRecord(state.records, action.recordKey, {
+                    isPending: true,
+                    error    : null,
+                    operation: action.operation
+                })
+            });
+        }
+        case ACTION_TYPES.RECORD_SUCCESS: {
+            return Object.assign({}, state, {
+                data       : __applyRecords(state.data, action),
+                lastUpdated: action.lastUpdated,
+                records    : __setRecord(state.records, action.recordKey, undefined)
+            });
+        }
+        case ACTION_TYPES.RECORD_FAILURE: {
+            return Object.assign({}, state, {
+                records: __setRecord(state.records, action.recordKey, {
+                    isPending: false,
+                    error    : action.error,
+                    operation: action.operation
+                })
+            });
+        }
+        case ACTION_TYPES.POLL_START: {
+            return Object.assign({}, state, {
+                polling: { interval: action.interval }
+            });
+        }
+        case ACTION_TYPES.POLL_STOP: {
+            return Object.assign({}, state, {
+                polling: null
+            });
+        }
+        case ACTION_TYPES.RESET_PAGINATION: {
+            return Object.assign({}, state, {
+                isFetching: false,
+                data      : null,
+                error     : null,
+                isStale   : true,
+                status    : STATUS.IDLE,
+                pagination: null
             });
         }
         case ACTION_TYPES.RESET_ENTITY: {
-            return Object.assign({}, CONST.INITIAL_ENTITY_STATE, {
+            return Object.assign({}, config.initialEntityState, {
                 lastUpdated: action.lastUpdated
             });
         }
     }
 }
+
+/**
+ * Track the pages of a paginated entity. Loading the first page starts over,
+ * and each following page records where the next one begins.
+ * @param state
+ * @param action
+ * @param config
+ * @returns {object}
+ */
+function pagination (state, action, config) {
+    const ACTION_TYPES = config.types;
+    const { cursor } = action.page;
+    if (!state) state = CONST.INITIAL_PAGINATION_STATE;
+    switch (action.type) {
+        case ACTION_TYPES.FETCH_REQUEST: {
+            return Object.assign({}, state, {
+                pages: __setPage(state.pages, cursor, { isFetching: true, error: null })
+            });
+        }
+        case ACTION_TYPES.FETCH_SUCCESS: {
+            const pages = cursor === null ? [] : state.pages;
+            return Object.assign({}, state, {
+                pages: __setPage(pages, cursor, {
+                    isFetching : false,
+                    error      : null,
+                    lastUpdated: action.lastUpdated,
+                    count      : __toArray(action.data).length
+                }),
+                cursor    : cursor,
+                nextCursor: action.page.nextCursor,
+                hasMore   : action.page.hasMore,
+                totalCount: action.page.totalCount
+            });
+        }
+        case ACTION_TYPES.FETCH_FAILURE: {
+            const base = action.keepData ? state : CONST.INITIAL_PAGINATION_STATE;
+            return Object.assign({}, base, {
+                pages: __setPage(base.pages, cursor, { isFetching: false, error: action.error })
+            });
+        }
+        default: {
+            return state;
+        }
+    }
+}
+
+/**
+ * Responses carry the id of the request that produced them. If a newer request
+ * has been issued (or the entity was cancelled since), the response is stale.
+ * @param state
+ * @param action
+ * @param config
+ * @returns {boolean}
+ * @private
+ */
+function __isOutOfOrder (state, action, config) {
+    if (config.responseTypes.indexOf(action.type) === -1) return false;
+    return Boolean(state.requestId) && action.requestId < state.requestId;
+}
+
+/**
+ * Restore saved entities, unless the store already holds more recent ones.
+ * Requests of the previous session are gone, so nothing is left fetching, and
+ * request ids (which start over on reload) are cleared. Entities hydrated from
+ * the server are stamped with the time of hydration, so they're fresh.
+ * @param state
+ * @param entities
+ * @param config
+ * @param lastUpdated   Time of hydration, if hydrating
+ * @returns {object}
+ * @private
+ */
+function __rehydrate (state, entities, config, lastUpdated) {
+    return Object.keys(entities).reduce((nextState, name) => {
+        const saved = entities[name];
+        if (saved.byParams) {
+            const current = state[name] && state[name].byParams;
+            nextState[name] = Object.assign({}, state[name], {
+                byParams: __rehydrate(current || {}, saved.byParams, config, lastUpdated)
+            });
+        } else if (!state[name] || !(state[name].lastUpdated >= saved.lastUpdated)) {
+            nextState[name] = __rehydrateEntity(state[name], saved, config, lastUpdated);
+        }
+        return nextState;
+    }, Object.assign({}, state));
+}
+
+function __rehydrateEntity (current, saved, config, lastUpdated) {
+    const rehydrated = Object.assign({}, config.initialEntityState, saved, {
+        isFetching : false,
+        requestId  : null,
+        retryCount : 0,
+        nextRetryAt: null,
+        pagination : __settlePagination(saved.pagination),
+        records    : {},
+        polling    : null
+    });
+    rehydrated.status = __getSettledStatus(rehydrated);
+    if (lastUpdated && rehydrated.status === STATUS.SUCCESS) {
+        Object.assign(rehydrated, { lastUpdated, isStale: false });
+    }
+    if (!current || !current.isFetching) return rehydrated;
+    // A load started before rehydration; keep waiting for it
+    return Object.assign(rehydrated, {
+        isFetching: true,
+        requestId : current.requestId,
+        status    : __hasData(rehydrated) ? STATUS.REFRESHING : STATUS.LOADING
+    });
+}
+
+/**
+ * Pagination is kept, so that loadNextPage() carries on from the saved
+ * nextCursor, but the pages that were loading never will
+ * @param pagination
+ * @returns {object}
+ * @private
+ */
+function __settlePagination (pagination) {
+    if (!pagination) return null;
+    return Object.assign({}, pagination, {
+        pages: pagination.pages.map(page => (page.isFetching ? Object.assign({}, page, { isFetching: false }) : page))
+    });
+}
+
+/**
+ * Entities loaded with params are stored by params key, under the byParams
+ * property of the entity name.
+ * @param state
+ * @param action
+ * @returns {object}
+ * @private
+ */
+function __getEntity (state, action) {
+    if (!action.hasOwnProperty(ACTION_PROPS.PARAMS_KEY)) return state[action.entity];
+    const byParams = state[action.entity] ? state[action.entity].byParams : undefined;
+    return byParams ? byParams[action.paramsKey] : undefined;
+}
+
+/**
+ * Store the next state of an entity, or remove it if undefined
+ * @param state
+ * @param action
+ * @param nextEntity
+ * @returns {object}
+ * @private
+ */
+function __setEntity (state, action, nextEntity) {
+    if (!action.hasOwnProperty(ACTION_PROPS.PARAMS_KEY)) {
+        return Object.assign({}, state, { [action.entity]: nextEntity });
+    }
+    const byParams = Object.assign({}, state[action.entity] ? state[action.entity].byParams : undefined);
+    if (nextEntity === undefined) {
+        delete byParams[action.paramsKey];
+    } else {
+        byParams[action.paramsKey] = nextEntity;
+    }
+    return Object.assign({}, state, {
+        [action.entity]: Object.assign({}, state[action.entity], { byParams })
+    });
+}
+
+/**
+ * Set the pending/error state of a change to a record, or clear it if undefined
+ * @param records
+ * @param recordKey
+ * @param record
+ * @returns {object}
+ * @private
+ */
+function __setRecord (records, recordKey, record) {
+    const nextRecords = Object.assign({}, records);
+    if (record === undefined) {
+        delete nextRecords[recordKey];
+    } else {
+        nextRecords[recordKey] = record;
+    }
+    return nextRecords;
+}
+
+/**
+ * Apply a change to individual records to the entity's data. Records are
+ * matched by id: created and upserted records replace the record of the same
+ * id, or are added after the others; updates only replace existing records.
+ * @param data
+ * @param action
+ * @returns {Array}
+ * @private
+ */
+function __applyRecords (data, action) {
+    const getId = item => (action.idAttribute ? item[action.idAttribute] : item);
+    const items = Array.isArray(data) ? data : [];
+    if (action.operation === RECORD_OPERATION.REMOVE) {
+        return items.filter(item => action.ids.indexOf(getId(item)) === -1);
+    }
+    return action.data.reduce((nextItems, record, index) => {
+        const position = nextItems.map(getId).indexOf(action.ids[index]);
+        if (position !== -1) {
+            return nextItems.slice(0, position).concat(record, nextItems.slice(position + 1));
+        }
+        return action.operation === RECORD_OPERATION.UPDATE ? nextItems : nextItems.concat(record);
+    }, items);
+}
+
+/**
+ * Pages after the first are only accepted at the entity's next cursor, so
+ * that a page is never appended twice, nor after resetPagination.
+ * @param state
+ * @param action
+ * @returns {boolean}
+ * @private
+ */
+function __isUnexpectedPage (state, action) {
+    if (action.page.cursor === null) return false;
+    return !state.pagination || state.pagination.nextCursor !== action.page.cursor;
+}
+
+/**
+ * Replace the page at the given cursor, or add it after the others
+ * @param pages
+ * @param cursor
+ * @param props
+ * @returns {Array}
+ * @private
+ */
+function __setPage (pages, cursor, props) {
+    const index = pages.map(page => page.cursor).indexOf(cursor);
+    const page = Object.assign({ cursor }, pages[index], props);
+    return index === -1
+        ? pages.concat(page)
+        : pages.slice(0, index).concat(page, pages.slice(index + 1));
+}
+
+/**
+ * Run the application's own reducers for individual entities, after the
+ * built-in handling. They receive every action, along with the entity's
+ * state (undefined if the entity doesn't exist yet).
+ * @param state
+ * @param action
+ * @param entityReducers
+ * @returns {object}
+ * @private
+ */
+function __applyEntityReducers (state, action, entityReducers) {
+    return Object.keys(entityReducers).reduce((nextState, name) => {
+        const current = nextState[name];
+        const next = entityReducers[name](current, action);
+        if (next === current || next === undefined) return nextState;
+        return Object.assign({}, nextState, { [name]: next });
+    }, state);
+}
+
+/**
+ * A failed mutation restores its snapshot, and keepDataOnError leaves the
+ * data as is; otherwise failures clear the data.
+ * @param state
+ * @param action
+ * @returns {*}
+ * @private
+ */
+function __getDataOnFailure (state, action) {
+    if (action.hasOwnProperty(ACTION_PROPS.ROLLBACK)) return action.rollback;
+    return action[ACTION_PROPS.KEEP_DATA] ? state.data : null;
+}
+
+/**
+ * Status of an entity once its pending request is abandoned
+ * @param state
+ * @returns {string}
+ * @private
+ */
+function __getSettledStatus (state) {
+    if (state.error) return STATUS.ERROR;
+    return __hasData(state) ? STATUS.SUCCESS : STATUS.IDLE;
+}
+
+function __hasData (state) {
+    return state.data !== null && state.data !== undefined;
+}
+
+/**
+ * Normalized results are lists of ids, so they're merged by id to avoid
+ * duplicates, and so are records when the action names their idAttribute.
+ * Other data (e.g. pages) is concatenated.
+ * @param existing
+ * @param action
+ * @returns {Array}
+ * @private
+ */
+function __appendData (existing, action) {
+    if (action.tables) return mergeIds(existing, action.data);
+    if (!existing) return __toArray(action.data);
+    return action.idAttribute
+        ? __mergeRecords(existing, __toArray(action.data), action.idAttribute)
+        : existing.concat(__toArray(action.data));
+}
+
+/**
+ * Records replace the existing record of the same id, or are added after the
+ * others. Values without an id (e.g. primitives) are always added.
+ * @param existing
+ * @param records
+ * @param idAttribute
+ * @returns {Array}
+ * @private
+ */
+function __mergeRecords (existing, records, idAttribute) {
+    const getId = item => (item !== null && typeof item === 'object' ? item[idAttribute] : undefined);
+    return records.reduce((merged, record) => {
+        const id = getId(record);
+        const position = id === undefined ? -1 : merged.map(getId).indexOf(id);
+        if (position === -1) return merged.concat(record);
+        return merged.slice(0, position).concat(record, merged.slice(position + 1));
+    }, existing);
+}
+
 function __toArray (obj) {
     return Array.isArray(obj) ? obj : [obj];
 }
+
+module.exports = Object.assign(createEntityReducer(), { createEntityReducer });
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Describes a domain type that should be stored in normalized form.
+ *
+ *   Example: const customer = new EntitySchema('customers');
+ *            const order = new EntitySchema('orders', { customer, items: [item] });
+ *
+ * @param {string} type         Table name the records are stored under (e.g. 'orders')
+ * @param {object} relations    Map of property name to nested schema; wrap in an array for lists
+ * @param {object} options      Schema options (e.g. { idAttribute: 'orderId' })
+ * @constructor
+ */
+function EntitySchema (type, relations, options) {
+    if (!type || typeof type !== 'string') throw new Error('Missing required schema type');
+    if (relations && relations.constructor !== Object) throw new Error('Expected relations to be an object');
+    this.type = type;
+    this.relations = relations || {};
+    this.idAttribute = 'id';
+
+    if (options && options.idAttribute) {
+        this.idAttribute = options.idAttribute;
+    }
+}
+
+EntitySchema.prototype.getType = function () {
+    return this.type;
+};
+
+EntitySchema.prototype.getRelations = function () {
+    return this.relations;
+};
+
+/**
+ * Resolve the id of a record, using either the configured attribute name
+ * or a function of the record.
+ * @param  {object} record
+ * @return {string|number}
+ */
+EntitySchema.prototype.getId = function (record) {
+    return typeof this.idAttribute === 'function'
+        ? this.idAttribute(record)
+        : record[this.idAttribute];
+};
+
+module.exports = EntitySchema;
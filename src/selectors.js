@@ -0,0 +1,151 @@
+'use strict';
+
+const { denormalize } = require('./common/normalizer');
+const { getParamsKey } = require('./common/params');
+const { TABLES_KEY, DEFAULT_MOUNT_POINT } = require('./common/entity-const');
+
+/**
+ * Build a set of selectors that read entities from the given mount point.
+ *
+ *   Example: const selectors = createSelectors('api.entities');
+ *            selectors.getEntityData(state, 'orders');
+ *
+ * Every selector of a single entity accepts the params the entity was loaded
+ * with as its last argument (e.g. getEntityData(state, 'orders', { customerId: 7 })).
+ *
+ * @param  {string|function} mountPoint     Dot-separated path to the entities reducer
+ *                                          (e.g. 'entities'), or a function of state
+ * @return {object}                         Selectors
+ */
+function createSelectors (mountPoint) {
+    const getEntities = __makeMountSelector(mountPoint || DEFAULT_MOUNT_POINT);
+
+    function getEntity (state, name, params) {
+        const entity = getEntities(state)[name];
+        if (!params) return entity;
+        return entity && entity.byParams ? entity.byParams[getParamsKey(params)] : undefined;
+    }
+
+    function getTables (state) {
+        return getEntities(state)[TABLES_KEY] || {};
+    }
+
+    function getEntityData (state, name, params) {
+        const entity = getEntity(state, name, params);
+        return entity ? entity.data : null;
+    }
+
+    function isEntityFetching (state, name, params) {
+        const entity = getEntity(state, name, params);
+        return Boolean(entity && entity.isFetching);
+    }
+
+    function getEntityError (state, name, params) {
+        const entity = getEntity(state, name, params);
+        return entity ? entity.error : null;
+    }
+
+    function getEntityLastUpdated (state, name, params) {
+        const entity = getEntity(state, name, params);
+        return entity ? entity.lastUpdated : null;
+    }
+
+    /**
+     * Whether the entity holds data from a successful load
+     */
+    function isEntityLoaded (state, name, params) {
+        const entity = getEntity(state, name, params);
+        return Boolean(entity) && !entity.error && entity.data !== null && entity.data !== undefined;
+    }
+
+    return {
+        getEntities,
+        getEntity,
+        getEntityData,
+        isEntityFetching,
+        getEntityError,
+        getEntityLastUpdated,
+        isEntityLoaded,
+        getTables,
+        /**
+         * Combine several entities into a single view. The returned selector is
+         * memoized, and returns the same object until one of the entities changes.
+         *
+         *   Example: const getDashboard = makeCombinedSelector(['orders', 'customers']);
+         *            getDashboard(state) --> { data: { orders, customers }, isFetching, error, isLoaded }
+         *
+         * @param  {Array} names        Entity names
+         * @return {function}           Selector of state
+         */
+        makeCombinedSelector (names) {
+            if (!Array.isArray(names) || !names.length) throw new Error('Expected names to be a non-empty array');
+            let lastEntities = null;
+            let lastResult = null;
+            return function (state) {
+                const entities = names.map(name => getEntity(state, name));
+                if (lastEntities && entities.every((entity, index) => entity === lastEntities[index])) {
+                    return lastResult;
+                }
+                lastEntities = entities;
+                lastResult = {
+                    data      : names.reduce((data, name, index) => Object.assign(data, { [name]: entities[index] ? entities[index].data : null }), {}),
+                    isFetching: names.some(name => isEntityFetching(state, name)),
+                    error     : names.map(name => getEntityError(state, name)).filter(error => error)[0] || null,
+                    isLoaded  : names.every(name => isEntityLoaded(state, name))
+                };
+                return lastResult;
+            };
+        },
+        /**
+         * Rebuild the data of an entity that was loaded with a schema.
+         * @param  {object}             state   Redux state
+         * @param  {string}             name    Entity name (e.g. 'orders')
+         * @param  {EntitySchema|Array} schema  Schema the entity was loaded with
+         * @param  {object}             params  Params the entity was loaded with, if any
+         * @return {*}                          Denormalized data, or null if not loaded
+         */
+        getDenormalizedEntity (state, name, schema, params) {
+            const data = getEntityData(state, name, params);
+            if (data === null || data === undefined) return null;
+            return denormalize(data, schema, getTables(state));
+        },
+        /**
+         * Rebuild a single record from its table
+         * @param  {object}       state     Redux state
+         * @param  {EntitySchema} schema    Schema of the record's type
+         * @param  {string|number} id       Record id
+         * @return {object}                 Denormalized record, or undefined if missing
+         */
+        getRecordById (state, schema, id) {
+            return denormalize(id, schema, getTables(state));
+        },
+        /**
+         * Rebuild every stored record of a type, in insertion order
+         * @param  {object}       state     Redux state
+         * @param  {EntitySchema} schema    Schema of the records' type
+         * @return {Array}
+         */
+        getAllRecords (state, schema) {
+            const table = getTables(state)[schema.getType()];
+            if (!table) return [];
+            return denormalize(table.allIds, [schema], getTables(state));
+        }
+    };
+}
+
+/**
+ * Resolve the entities slice, treating a missing slice as empty
+ * @param mountPoint
+ * @returns {function}
+ * @private
+ */
+function __makeMountSelector (mountPoint) {
+    if (typeof mountPoint === 'function') {
+        return state => mountPoint(state) || {};
+    }
+    if (typeof mountPoint !== 'string') throw new Error('Expected mountPoint to be a string or function');
+    const path = mountPoint.split('.');
+    return state => path.reduce((slice, key) => (slice ? slice[key] : undefined), state) || {};
+}
+
+module.exports = Object.assign(createSelectors(), { createSelectors });
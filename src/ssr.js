@@ -0,0 +1,105 @@
+'use strict';
+
+const { createActionCreators } = require('./action-creators');
+const { createSelectors } = require('./selectors');
+const { normalizeError } = require('./common/errors');
+const { TABLES_KEY, DEFAULT_MOUNT_POINT } = require('./common/entity-const');
+
+/**
+ * Helpers for server-side rendering: load the entities a page needs on the
+ * server, serialize them into the page, and hydrate the client's store with
+ * them, so that the client doesn't load them again.
+ *
+ *   Server:  prefetchEntities(store, [loadEntity('orders', () => OrderService.getOrders(), { staleTime: 30000 })])
+ *                .then(() => render(`window.__ENTITIES__ = ${JSON.stringify(dehydrate(store.getState()))}`));
+ *   Client:  store.dispatch(hydrate(window.__ENTITIES__));
+ */
+module.exports = {
+    /**
+     * Dispatch the given thunks, and wait for every load to settle
+     * @param  {object} store       Redux store, with the thunk middleware applied
+     * @param  {Array}  thunks      Thunks (e.g. loadEntity(...)), or plain actions handled by the entity middleware
+     * @return {Promise}            Resolves with the results of the thunks
+     */
+    prefetchEntities (store, thunks) {
+        if (!store || typeof store.dispatch !== 'function') throw new Error('Expected a Redux store');
+        if (!Array.isArray(thunks)) throw new Error('Expected thunks to be an array');
+        return Promise.all(thunks.map(thunk => store.dispatch(thunk)));
+    },
+    /**
+     * Serialize the entities of a store for the client. Errors are normalized
+     * (see normalizeError), and entities that never loaded are dropped, since
+     * their pending loads can't complete on the client.
+     * @param  {object}          state          Redux state
+     * @param  {string|function} mountPoint     Where the entities are mounted in state
+     * @return {object}                         Entities, ready for JSON.stringify()
+     */
+    dehydrate (state, mountPoint) {
+        const entities = createSelectors(mountPoint || DEFAULT_MOUNT_POINT).getEntities(state);
+        return __dehydrateEntities(entities);
+    },
+    /**
+     * Action creator hydrating a store with dehydrated entities. Entities that
+     * loaded successfully are marked as loaded at the time of hydration, so
+     * loads configured with staleTime or ttl skip them.
+     * @param  {object} dehydrated  Result of dehydrate()
+     * @param  {object} options     { namespace, prefix } of the client's store
+     * @return {object}             Action
+     */
+    hydrate (dehydrated, options) {
+        if (!dehydrated || dehydrated.constructor !== Object) throw new Error('Expected dehydrated entities to be an object');
+        const { namespace, prefix } = options || {};
+        const entities = Object.assign({}, dehydrated);
+        const tables = entities[TABLES_KEY];
+        delete entities[TABLES_KEY];
+        return createActionCreators(namespace, prefix).hydrateEntities(entities, tables, Date.now());
+    }
+};
+
+function __dehydrateEntities (entities) {
+    return Object.keys(entities).reduce((dehydrated, name) => {
+        const entity = entities[name];
+        if (name === TABLES_KEY) {
+            dehydrated[name] = entity;
+        } else if (entity && entity.byParams) {
+            dehydrated[name] = Object.assign({}, entity, { byParams: __dehydrateEntities(entity.byParams) });
+        } else if (entity && entity.lastUpdated) {
+            dehydrated[name] = __dehydrateEntity(entity);
+        }
+        return dehydrated;
+    }, {});
+}
+
+/**
+ * Pending record changes and polling belong to the server's requests.
+ * Pagination is data: the client loads the next pages from nextCursor.
+ * @private
+ */
+function __dehydrateEntity (entity) {
+    return Object.assign({}, entity, {
+        error     : __serializeError(entity.error),
+        isFetching: false,
+        requestId : null,
+        records   : {},
+        polling   : null,
+        pagination: __dehydratePagination(entity.pagination)
+    });
+}
+
+function __dehydratePagination (pagination) {
+    if (!pagination) return null;
+    return Object.assign({}, pagination, {
+        pages: pagination.pages.map(page => Object.assign({}, page, { isFetching: false, error: __serializeError(page.error) }))
+    });
+}
+
+/**
+ * Keep errors that are already plain values, and normalize the others
+ * (e.g. Error instances, or HTTP responses)
+ * @private
+ */
+function __serializeError (error) {
+    if (error === null || error === undefined) return null;
+    if (typeof error !== 'object' || error.constructor === Object) return error;
+    return normalizeError(error);
+}
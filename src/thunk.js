@@ -1,29 +1,82 @@
 'use strict';
 
 const EntityLifecycle = require('./common/entity-lifecycle');
+const entityRequest = require('./common/entity-request');
+const registry = require('./common/request-registry');
+const pageSources = require('./common/page-sources');
+const dependencies = require('./common/dependencies');
+const { FRESHNESS } = require('./common/entity-const');
 
 /**
  * Redux thunk action creator for performing asynchronous actions.
  *
- * @param {string}  name        Entity name
- * @param {Promise} promise     Promise (e.g. OrderService.getOrders())
- * @param {object}  options     Configuration options object
- * @return {function}           Perform an asynchronous action, dispatch Redux actions accordingly
+ * Pass a promise factory instead of a promise to defer the request until the
+ * thunk is dispatched. The factory is invoked with an AbortSignal (where
+ * AbortController is available), which is aborted by cancelEntity(). Only
+ * factories can be retried, since a started promise can't be re-run.
+ *
+ * With staleTime or ttl, the thunk reads the entity from state first, and
+ * skips the load (or revalidates silently) while the data is still usable.
+ *
+ * With paginate, the factory is invoked with the cursor of the page to load as
+ * its second argument. loadEntity() always loads the first page (with a null
+ * cursor); loadNextPage() loads the following ones.
+ *
+ * With dependsOn, the thunks of the entities this one depends on are
+ * dispatched first, and the factory receives their data, by key, as its third
+ * argument. If one of them fails to load, so does this entity. The store needs
+ * the thunk middleware to dispatch them.
+ *
+ *   Example: loadEntity('orders', (signal, cursor, { customer }) => OrderService.getOrders(customer.id), {
+ *                dependsOn: { customer: loadEntity('customer', () => CustomerService.getCurrent()) }
+ *            });
+ *
+ * @param {string}           name       Entity name
+ * @param {Promise|function} promise    Promise (e.g. OrderService.getOrders()), or a function returning one
+ * @param {object}           options    Configuration options object
+ * @return {function}                   Perform an asynchronous action, dispatch Redux actions accordingly
  */
 module.exports = function loadEntity (
     name,
     promise,
     options
 ) {
-    if (!name || typeof name !== 'string') throw new Error('Missing required entity name');
-    if (!promise || !promise.then) throw new Error('Missing required entity promise');
-    if (options && options.constructor !== Object) throw new Error('Expected options to be an object');
-    const _el = new EntityLifecycle(name, options);
-    return (dispatch) => {
+    entityRequest.validateArguments(name, promise, options);
+    return dependencies.describe((dispatch, getState) => {
+        const _el = new EntityLifecycle(name, options);
         _el.setDispatch(dispatch);
-        _el.onLoad();
-        return promise
-            .then(data => { _el.onSuccess(data); })
-            .catch(error => { _el.onFailure(error); });
-    };
+        _el.setGetState(getState);
+
+        const config = _el.getConfig();
+        const key = _el.getRegistryKey();
+        if (config.getPaginator()) {
+            pageSources.register(dispatch, key, promise, options);
+        }
+
+        const freshness = config.getFreshness(entityRequest.getEntity(getState, _el), Date.now());
+        if (freshness === FRESHNESS.FRESH) {
+            __ignore(promise);
+            return Promise.resolve();
+        } else if (freshness === FRESHNESS.STALE) {
+            config.setSilent(true);
+        }
+
+        const inFlight = registry.get(dispatch, key);
+        if (inFlight && config.doDedupe()) {
+            __ignore(promise);
+            return inFlight.promise;
+        }
+
+        return entityRequest.run(_el, promise);
+    }, name, options);
 };
+
+/**
+ * A promise that was already started can't be stopped when its load is
+ * skipped. Handle its rejection, so that it isn't reported as unhandled.
+ * @param promise
+ * @private
+ */
+function __ignore (promise) {
+    if (typeof promise !== 'function') promise.then(null, () => undefined);
+}
@@ -0,0 +1,76 @@
+// Type tests: compiled by `npm run test:types`, never run
+
+import {
+    EntitiesState,
+    createSelectors,
+    defineEntity,
+    getEntityData,
+    loadEntities,
+    loadEntity
+} from 'redux-entity';
+
+interface Order {
+    id: number;
+    total: number;
+}
+
+interface Customer {
+    id: number;
+    name: string;
+}
+
+declare module 'redux-entity' {
+    interface EntityDataMap {
+        orders: Order[];
+        customer: Customer;
+    }
+}
+
+interface RootState {
+    entities: EntitiesState;
+}
+
+declare const state: RootState;
+
+// Declared entities are typed members of state.entities, until their first action
+const orders = state.entities.orders;
+const total: number | undefined = orders && orders.data ? orders.data[0].total : undefined;
+const customer = state.entities.customer;
+const customerName: string | undefined = customer && customer.data ? customer.data.name : undefined;
+const fetching: boolean = orders ? orders.isFetching : false;
+
+// @ts-expect-error: declared entities may not be in state yet
+state.entities.orders.data;
+
+// Entities loaded with params are found under byParams
+const byParams = orders && orders.byParams ? orders.byParams['{"customerId":7}'] : undefined;
+const paramsTotal: number | undefined = byParams && byParams.data ? byParams.data[0].total : undefined;
+
+// @ts-expect-error: undeclared entities are not members of state.entities
+state.entities.products;
+
+// @ts-expect-error: data has the declared type
+const wrong: string[] | null = orders ? orders.data : null;
+
+// Selectors and options are typed by entity name
+const selected: Order[] | null = getEntityData(state, 'orders');
+const entity = createSelectors('entities').getEntity(state, 'customer');
+const name: string | undefined = entity && entity.data ? entity.data.name : undefined;
+
+const loadCustomer = loadEntity('customer', () => Promise.resolve({ id: 7, name: 'foo' }), { staleTime: 60000 });
+const loadOrders = loadEntity('orders', (signal, cursor, dependencies) => Promise.resolve([]), {
+    dependsOn : { customer: loadCustomer },
+    paginate  : { hasMore: (response, nextCursor) => nextCursor !== null },
+    processors: {
+        afterSuccess: (dispatch, data) => data.map(order => order.total)
+    }
+});
+const entityName: string = loadOrders.entityName;
+const parallel = loadEntities([loadCustomer, loadOrders]);
+
+const definedOrders = defineEntity('orders', { fetch: ({ customerId }: { customerId: number }) => Promise.resolve([]) });
+const load = definedOrders.load({ customerId: 7 });
+
+export {
+    total, customerName, fetching, paramsTotal, wrong, selected, name, entityName, parallel, load
+};
@@ -112,13 +112,14 @@ describe('Action Creators', () => {
         describe('invoking the fetchRequest action creator', () => {
             it('should create a FETCH_REQUEST action', () => {
                 const fetchRequestAction = {
-                    type  : ACTION_TYPE.FETCH_REQUEST,
-                    entity: mockEntity
+                    type     : ACTION_TYPE.FETCH_REQUEST,
+                    entity   : mockEntity,
+                    requestId: 1
                 };
 
                 // Under test
                 store.dispatch(
-                    actionCreators.fetchRequest(mockEntity)()
+                    actionCreators.fetchRequest(mockEntity)(1)
                 );
 
                 expect(
@@ -139,12 +140,13 @@ describe('Action Creators', () => {
                     entity     : mockEntity,
                     data       : mockData,
                     lastUpdated: now,
-                    append     : false
+                    append     : false,
+                    requestId  : 1
                 };
 
                 // Under test
                 store.dispatch(
-                    actionCreators.fetchSuccess(mockEntity)(mockData, now, false)
+                    actionCreators.fetchSuccess(mockEntity)(mockData, now, false, 1)
                 );
 
                 expect(
@@ -155,6 +157,18 @@ describe('Action Creators', () => {
             });
         });
 
+        describe('invoking the cancelEntity action creator', () => {
+            it('should create a CANCEL_ENTITY action', () => {
+                expect(
+                    actionCreators.cancelEntity(mockEntity, 1)
+                ).toEqual({
+                    type     : ACTION_TYPE.CANCEL_ENTITY,
+                    entity   : mockEntity,
+                    requestId: 1
+                });
+            });
+        });
+
         describe('invoking the fetchFailure action creator', () => {
             const mockError = { foo: 'bar' };
             const now = Date.now();
@@ -164,12 +178,13 @@ describe('Action Creators', () => {
                     entity     : mockEntity,
                     type       : ACTION_TYPE.FETCH_FAILURE,
                     error      : mockError,
-                    lastUpdated: now
+                    lastUpdated: now,
+                    requestId  : 1
                 };
 
                 // Under test
                 store.dispatch(
-                    actionCreators.fetchFailure(mockEntity)(mockError, now)
+                    actionCreators.fetchFailure(mockEntity)(mockError, now, 1)
                 );
 
                 expect(
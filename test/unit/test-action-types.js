@@ -0,0 +1,54 @@
+'use strict';
+
+const expect = require('expect');
+const { getActionTypes, getEntityActionType, isEntityAction } = require('../../src/common/action-types');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+describe('Action Types', () => {
+    describe('invoking getActionTypes()', () => {
+        it('should return the default types', () => {
+            expect(getActionTypes()).toEqual(ACTION_TYPES);
+            expect(ACTION_TYPES.FETCH_SUCCESS).toEqual('@@redux-entity/FETCH_SUCCESS');
+        });
+        it('should add the namespace to the prefix', () => {
+            expect(getActionTypes('admin').FETCH_SUCCESS).toEqual('@@redux-entity/admin/FETCH_SUCCESS');
+        });
+        it('should honor a custom prefix', () => {
+            expect(getActionTypes(null, 'api').FETCH_SUCCESS).toEqual('api/FETCH_SUCCESS');
+            expect(getActionTypes('admin', 'api').FETCH_SUCCESS).toEqual('api/admin/FETCH_SUCCESS');
+            expect(getActionTypes(null, '').FETCH_SUCCESS).toEqual('FETCH_SUCCESS');
+        });
+        it('should return the same object for the same configuration', () => {
+            expect(getActionTypes('admin', 'api')).toBe(getActionTypes('admin', 'api'));
+        });
+    });
+
+    describe('invoking isEntityAction()', () => {
+        it('should recognize entity actions of any namespace', () => {
+            expect(isEntityAction({ type: ACTION_TYPES.FETCH_SUCCESS, entity: 'orders' })).toEqual(true);
+            expect(isEntityAction({ type: getActionTypes('admin').RESET_ENTITY, entity: 'orders' })).toEqual(true);
+        });
+        it('should recognize actions covering several entities', () => {
+            expect(isEntityAction({ type: ACTION_TYPES.REHYDRATE_ENTITIES, entities: {} })).toEqual(true);
+            expect(isEntityAction({ type: getActionTypes('admin').HYDRATE_ENTITIES, entities: {} })).toEqual(true);
+        });
+        it('should reject application actions', () => {
+            expect(isEntityAction({ type: 'FETCH_SUCCESS', entity: 'orders' })).toEqual(false);
+            expect(isEntityAction({ type: '@@redux-entity/SOMETHING_ELSE', entity: 'orders' })).toEqual(false);
+            expect(isEntityAction({ type: ACTION_TYPES.FETCH_SUCCESS })).toEqual(false);
+            expect(isEntityAction(undefined)).toEqual(false);
+        });
+        it('should honor a custom prefix', () => {
+            expect(isEntityAction({ type: 'api/FETCH_SUCCESS', entity: 'orders' }, 'api')).toEqual(true);
+            expect(isEntityAction({ type: ACTION_TYPES.FETCH_SUCCESS, entity: 'orders' }, 'api')).toEqual(false);
+        });
+    });
+
+    describe('invoking getEntityActionType()', () => {
+        it('should return the unprefixed type', () => {
+            const action = { type: getActionTypes('admin').FETCH_FAILURE, entity: 'orders' };
+            expect(getEntityActionType(action)).toEqual('FETCH_FAILURE');
+            expect(getEntityActionType({ type: 'FOO', entity: 'orders' })).toEqual(null);
+        });
+    });
+});
@@ -0,0 +1,37 @@
+'use strict';
+
+const expect = require('expect');
+const { getBoundaryState } = require('../../src/common/boundary');
+const { BOUNDARY_STATE, INITIAL_ENTITY_STATE } = require('../../src/common/entity-const');
+
+function entity (props) {
+    return Object.assign({}, INITIAL_ENTITY_STATE, props);
+}
+
+describe('getBoundaryState()', () => {
+    it('should be loading until the entity has loaded', () => {
+        expect(getBoundaryState(undefined)).toEqual(BOUNDARY_STATE.LOADING);
+        expect(getBoundaryState(entity({ isFetching: true }))).toEqual(BOUNDARY_STATE.LOADING);
+    });
+    it('should be an error when a load failed without data to show', () => {
+        expect(getBoundaryState(entity({ error: new Error('foo'), lastUpdated: 1 }))).toEqual(BOUNDARY_STATE.ERROR);
+    });
+    it('should be loading again while retrying after an error', () => {
+        expect(getBoundaryState(entity({ error: new Error('foo'), lastUpdated: 1, isFetching: true }))).toEqual(BOUNDARY_STATE.LOADING);
+    });
+    it('should be empty when the entity loaded without data', () => {
+        expect(getBoundaryState(entity({ data: [], lastUpdated: 1 }))).toEqual(BOUNDARY_STATE.EMPTY);
+        expect(getBoundaryState(entity({ data: null, lastUpdated: 1 }))).toEqual(BOUNDARY_STATE.EMPTY);
+    });
+    it('should be empty when the first load settled without data', () => {
+        expect(getBoundaryState(entity({ requestId: 2 }))).toEqual(BOUNDARY_STATE.EMPTY);
+        expect(getBoundaryState(entity({ status: 'loading', isFetching: true }))).toEqual(BOUNDARY_STATE.LOADING);
+    });
+    it('should be an error when the first load failed', () => {
+        expect(getBoundaryState(entity({ error: new Error('foo') }))).toEqual(BOUNDARY_STATE.ERROR);
+    });
+    it('should render data kept on screen while refreshing or after an error', () => {
+        expect(getBoundaryState(entity({ data: [1], lastUpdated: 1, isFetching: true }))).toEqual(BOUNDARY_STATE.DATA);
+        expect(getBoundaryState(entity({ data: [1], lastUpdated: 1, error: new Error('foo') }))).toEqual(BOUNDARY_STATE.DATA);
+    });
+});
@@ -0,0 +1,126 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const { defineEntity, getEntityDefinition } = require('../../src/define-entity');
+const { entityMiddleware } = require('../../src/middleware');
+const { loadEntityAction } = require('../../src/action-creators');
+const reducer = require('../../src/reducer');
+const EntitySchema = require('../../src/schema');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+describe('Entity Definitions', () => {
+    let store;
+    beforeEach(() => {
+        store = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk, entityMiddleware));
+    });
+
+    describe('defineEntity()', () => {
+        it('should load the entity with its fetch function and options', (done) => {
+            const fetch = expect.createSpy().andCall(({ customerId }) => Promise.resolve([customerId]));
+            const definition = defineEntity('definedOrders', { fetch, options: { silent: true } });
+
+            // Under test
+            store.dispatch(definition.load({ customerId: 7 }))
+                .then(() => {
+                    expect(fetch.calls[0].arguments[0]).toEqual({ customerId: 7 });
+                    expect(definition.getData(store.getState())).toEqual([7]);
+                    expect(definition.isFetching(store.getState())).toEqual(false);
+                    expect(definition.isLoaded(store.getState())).toEqual(true);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should build the action creators of the entity', () => {
+            const definition = defineEntity('definedCustomers', { fetch: () => Promise.resolve() });
+
+            expect(definition.delete()).toEqual({ type: ACTION_TYPES.DELETE_ENTITY, entity: 'definedCustomers' });
+            expect(definition.reset().type).toEqual(ACTION_TYPES.RESET_ENTITY);
+            expect(definition.invalidate()).toEqual({ type: ACTION_TYPES.INVALIDATE_ENTITY, entity: 'definedCustomers' });
+        });
+        it('should address the action creators to the given params', () => {
+            const definition = defineEntity('definedCustomersByParams', { fetch: () => Promise.resolve() });
+            const paramsKey = '{"region":"eu"}';
+
+            expect(definition.delete({ region: 'eu' }).paramsKey).toEqual(paramsKey);
+            expect(definition.reset({ region: 'eu' }).paramsKey).toEqual(paramsKey);
+            expect(definition.invalidate({ region: 'eu' }).paramsKey).toEqual(paramsKey);
+        });
+        it('should cancel the load of the given params', (done) => {
+            let signal;
+            const definition = defineEntity('definedCancelled', {
+                fetch: (request, abortSignal) => {
+                    signal = abortSignal;
+                    return Promise.resolve([]);
+                }
+            });
+            const load = store.dispatch(definition.load(null, { params: { region: 'eu' } }));
+
+            // Under test
+            store.dispatch(definition.cancel({ region: 'eu' }));
+
+            expect(signal.aborted).toEqual(true);
+            load.then(() => done()).catch(done);
+        });
+        it('should apply the schema and ttl shorthands', (done) => {
+            const order = new EntitySchema('orders');
+            const definition = defineEntity('definedOrderIds', {
+                fetch : () => Promise.resolve([{ id: 1 }]),
+                schema: [order],
+                ttl   : 1000
+            });
+
+            expect(definition.options).toEqual({ schema: [order], ttl: 1000 });
+            store.dispatch(definition.load())
+                .then(() => {
+                    expect(definition.getData(store.getState())).toEqual([1]);
+                    expect(definition.getDenormalized(store.getState())).toEqual([{ id: 1 }]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should register the fetch function with the entity middleware', (done) => {
+            defineEntity('definedProducts', { fetch: () => Promise.resolve(['product']) });
+
+            store.dispatch(loadEntityAction('definedProducts'))
+                .then(() => {
+                    expect(store.getState().entities.definedProducts.data).toEqual(['product']);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when the name is already defined', () => {
+            defineEntity('definedTwice', { fetch: () => Promise.resolve() });
+            expect(() => defineEntity('definedTwice', { fetch: () => Promise.resolve() })).toThrow(/already defined/);
+        });
+        it('should allow the same name in another namespace', () => {
+            defineEntity('definedAcrossNamespaces', { fetch: () => Promise.resolve() });
+            expect(() => defineEntity('definedAcrossNamespaces', { fetch: () => Promise.resolve(), options: { namespace: 'admin' } })).toNotThrow();
+        });
+        it('should not replace the fetcher of the same name in another namespace', (done) => {
+            defineEntity('definedShipments', { fetch: () => Promise.resolve(['default']) });
+            defineEntity('definedShipments', { fetch: () => Promise.resolve(['admin']), options: { namespace: 'admin' } });
+
+            store.dispatch(loadEntityAction('definedShipments'))
+                .then(() => {
+                    expect(store.getState().entities.definedShipments.data).toEqual(['default']);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error without a fetch function', () => {
+            expect(() => defineEntity('definedWithoutFetch', {})).toThrow(/fetch must be a function/);
+        });
+    });
+
+    describe('getEntityDefinition()', () => {
+        it('should return the definition of a defined entity', () => {
+            const definition = defineEntity('definedInvoices', { fetch: () => Promise.resolve() });
+            expect(getEntityDefinition('definedInvoices')).toBe(definition);
+        });
+        it('should throw an error for an unknown entity', () => {
+            expect(() => getEntityDefinition('definedInvoicez')).toThrow(/Unknown entity "definedInvoicez"/);
+        });
+    });
+});
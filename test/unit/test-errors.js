@@ -0,0 +1,99 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const reducer = require('../../src/reducer');
+const { normalizeError, classifyError, TimeoutError } = require('../../src/common/errors');
+const { ERROR_KIND, PROCESSOR_STAGE } = require('../../src/common/entity-const');
+
+function httpError (status, data) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+}
+
+describe('Errors', () => {
+    describe('normalizeError()', () => {
+        it('should capture the message, name, status, code and details of an error', () => {
+            const error = Object.assign(httpError(404, { reason: 'No such order' }), { code: 'E_NOT_FOUND' });
+
+            expect(normalizeError(error)).toEqual({
+                message: 'Request failed with status code 404',
+                name   : 'Error',
+                status : 404,
+                code   : 'E_NOT_FOUND',
+                kind   : ERROR_KIND.CLIENT,
+                details: { reason: 'No such order' }
+            });
+        });
+        it('should read the status text of a fetch Response', () => {
+            expect(normalizeError({ status: 503, statusText: 'Service Unavailable' }))
+                .toInclude({ message: 'Service Unavailable', status: 503, kind: ERROR_KIND.SERVER });
+        });
+        it('should normalize rejections that are not objects', () => {
+            expect(normalizeError('foo')).toInclude({ message: 'foo', status: null, kind: ERROR_KIND.UNKNOWN, details: null });
+        });
+        it('should drop details that cannot be serialized', () => {
+            const details = {};
+            details.self = details;
+
+            expect(normalizeError(Object.assign(new Error('foo'), { details })).details).toEqual(null);
+        });
+    });
+
+    describe('classifyError()', () => {
+        it('should classify errors by HTTP status', () => {
+            expect(classifyError(httpError(422))).toEqual(ERROR_KIND.VALIDATION);
+            expect(classifyError(httpError(401))).toEqual(ERROR_KIND.CLIENT);
+            expect(classifyError(httpError(502))).toEqual(ERROR_KIND.SERVER);
+            expect(classifyError(httpError(408))).toEqual(ERROR_KIND.TIMEOUT);
+        });
+        it('should classify errors that never reached the server', () => {
+            expect(classifyError(new TypeError('Failed to fetch'))).toEqual(ERROR_KIND.NETWORK);
+            expect(classifyError(Object.assign(new Error('foo'), { code: 'ECONNREFUSED' }))).toEqual(ERROR_KIND.NETWORK);
+            expect(classifyError(Object.assign(new Error('timeout of 500ms exceeded'), { code: 'ECONNABORTED' }))).toEqual(ERROR_KIND.TIMEOUT);
+            expect(classifyError(Object.assign(new Error('foo'), { name: 'AbortError' }))).toEqual(ERROR_KIND.CANCELLED);
+            expect(classifyError(new TimeoutError(5))).toEqual(ERROR_KIND.TIMEOUT);
+        });
+        it('should classify anything else as unknown', () => {
+            expect(classifyError(new Error('foo'))).toEqual(ERROR_KIND.UNKNOWN);
+        });
+    });
+
+    describe('loadEntity() with normalizeError', () => {
+        let store, entity;
+        beforeEach(() => {
+            entity = 'normalizedOrders';
+            store = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+        });
+
+        it('should store the normalized error, and pass the rejection to processors', (done) => {
+            const error = httpError(500);
+            const afterFailure = expect.createSpy();
+            const options = { normalizeError: true, processors: { [PROCESSOR_STAGE.AFTER_FAILURE]: afterFailure } };
+
+            // Under test
+            store.dispatch(loadEntity(entity, Promise.reject(error), options))
+                .then(() => {
+                    expect(store.getState().entities[entity].error).toInclude({ status: 500, kind: ERROR_KIND.SERVER });
+                    expect(afterFailure.calls[0].arguments[1]).toBe(error);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should store errors in the shape returned by a custom normalizer', (done) => {
+            const normalize = error => ({ text: error.message });
+
+            // Under test
+            store.dispatch(loadEntity(entity, Promise.reject(new Error('foo')), { normalizeError: normalize }))
+                .then(() => {
+                    expect(store.getState().entities[entity].error).toEqual({ text: 'foo' });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when normalizeError is not a function', () => {
+            expect(() => loadEntity(entity, Promise.resolve(), { normalizeError: 'yes' })).toThrow(/normalizeError must be a function/);
+        });
+    });
+});
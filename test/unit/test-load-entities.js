@@ -0,0 +1,161 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const loadEntities = require('../../src/load-entities');
+const reducer = require('../../src/reducer');
+const { invalidateEntity } = require('../../src/action-creators');
+
+function configureStore () {
+    return createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+}
+
+describe('Dependent and parallel loading', () => {
+    let store;
+    beforeEach(() => {
+        store = configureStore();
+    });
+
+    describe('loadEntities()', () => {
+        it('should resolve with the result of each load and an aggregate status', (done) => {
+            // Under test
+            store.dispatch(loadEntities([
+                loadEntity('parallelOrders', Promise.resolve([1, 2])),
+                loadEntity('parallelCustomers', Promise.resolve({ id: 7 }))
+            ]))
+                .then(({ status, results }) => {
+                    expect(status).toEqual('success');
+                    expect(results[0]).toEqual({ name: 'parallelOrders', status: 'success', data: [1, 2], error: null });
+                    expect(results[1]).toInclude({ name: 'parallelCustomers', data: { id: 7 } });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should let every load settle when one of them fails', (done) => {
+            const error = new Error('foo');
+
+            // Under test
+            store.dispatch(loadEntities([
+                loadEntity('parallelFailure', Promise.reject(error)),
+                loadEntity('parallelSuccess', () => new Promise(resolve => setTimeout(() => resolve('bar'), 10)))
+            ]))
+                .then(({ status, results }) => {
+                    expect(status).toEqual('error');
+                    expect(results[0]).toInclude({ status: 'error', error });
+                    expect(results[1]).toInclude({ status: 'success', data: 'bar' });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should report rejections of other thunks', (done) => {
+            const error = new Error('foo');
+
+            // Under test
+            store.dispatch(loadEntities([
+                () => Promise.resolve('bar'),
+                () => { throw error; }
+            ]))
+                .then(({ status, results }) => {
+                    expect(status).toEqual('error');
+                    expect(results[0]).toEqual({ name: null, status: 'success', data: 'bar', error: null });
+                    expect(results[1]).toEqual({ name: null, status: 'error', data: null, error });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when thunks is not an array', () => {
+            expect(() => loadEntities(loadEntity('parallelOrders', Promise.resolve()))).toThrow(/Expected thunks to be an array/);
+        });
+    });
+
+    describe('loadEntity() configured with dependsOn', () => {
+        it('should load the prerequisites first, and pass their data to the factory', (done) => {
+            const factory = expect.createSpy().andCall((signal, cursor, { customer }) => Promise.resolve([customer.id]));
+
+            // Under test
+            store.dispatch(loadEntity('dependentOrders', factory, {
+                dependsOn: { customer: loadEntity('dependentCustomer', () => Promise.resolve({ id: 7 })) }
+            }))
+                .then(() => {
+                    const { entities } = store.getState();
+                    expect(entities.dependentCustomer.data).toEqual({ id: 7 });
+                    expect(entities.dependentOrders.data).toEqual([7]);
+                    expect(factory.calls[0].arguments[2]).toEqual({ customer: { id: 7 } });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should wait for a prerequisite that is already loading, with dedupe', (done) => {
+            const customerFactory = expect.createSpy().andCall(() => new Promise(resolve => setTimeout(() => resolve({ id: 8 }), 10)));
+            const loadCustomer = loadEntity('waitedCustomer', customerFactory, { dedupe: true });
+            store.dispatch(loadCustomer);
+
+            // Under test
+            store.dispatch(loadEntity('waitingOrders', (signal, cursor, { customer }) => Promise.resolve([customer.id]), {
+                dependsOn: { customer: loadCustomer }
+            }))
+                .then(() => {
+                    expect(customerFactory.calls.length).toEqual(1);
+                    expect(store.getState().entities.waitingOrders.data).toEqual([8]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not load a prerequisite that is still fresh', (done) => {
+            const customerFactory = expect.createSpy().andCall(() => Promise.resolve({ id: 9 }));
+            const loadCustomer = loadEntity('loadedCustomer', customerFactory, { staleTime: 60000 });
+
+            // Under test
+            store.dispatch(loadCustomer)
+                .then(() => store.dispatch(loadEntity('loadedOrders', (signal, cursor, { customer }) => Promise.resolve([customer.id]), {
+                    dependsOn: { customer: loadCustomer }
+                })))
+                .then(() => {
+                    expect(customerFactory.calls.length).toEqual(1);
+                    expect(store.getState().entities.loadedOrders.data).toEqual([9]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should reload a prerequisite that was invalidated', (done) => {
+            let id = 10;
+            const loadCustomer = loadEntity('invalidatedCustomer', () => Promise.resolve({ id: id++ }), { staleTime: 60000 });
+
+            // Under test
+            store.dispatch(loadCustomer)
+                .then(() => store.dispatch(invalidateEntity('invalidatedCustomer')))
+                .then(() => store.dispatch(loadEntity('invalidatedOrders', (signal, cursor, { customer }) => Promise.resolve([customer.id]), {
+                    dependsOn: { customer: loadCustomer }
+                })))
+                .then(() => {
+                    expect(store.getState().entities.invalidatedOrders.data).toEqual([11]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should fail with the error of a prerequisite that fails to load', (done) => {
+            const error = new Error('foo');
+            const factory = expect.createSpy();
+
+            // Under test
+            store.dispatch(loadEntity('orphanOrders', factory, {
+                dependsOn: { customer: loadEntity('failedCustomer', Promise.reject(error)) }
+            }))
+                .then(() => {
+                    const { entities } = store.getState();
+                    expect(factory).toNotHaveBeenCalled();
+                    expect(entities.orphanOrders.error).toBe(error);
+                    expect(entities.orphanOrders.isFetching).toBe(false);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when dependsOn is not an object of loadEntity thunks', () => {
+            expect(() => loadEntity('orders', () => Promise.resolve(), { dependsOn: { customer: () => undefined } }))
+                .toThrow(/Expected dependsOn to be an object of loadEntity thunks/);
+            expect(() => loadEntity('orders', Promise.resolve(), { dependsOn: {} })).toThrow(/dependsOn requires a promise factory/);
+        });
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const { createEntityMiddleware, entityMiddleware, registerFetcher } = require('../../src/middleware');
+const { loadEntityAction, createActionCreators } = require('../../src/action-creators');
+const loadEntity = require('../../src/thunk');
+const reducer = require('../../src/reducer');
+const { createEntityReducer } = require('../../src/reducer');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+describe('Entity Middleware', () => {
+    let actions, logger;
+    beforeEach(() => {
+        actions = [];
+        logger = () => next => action => {
+            actions.push(action);
+            return next(action);
+        };
+    });
+
+    describe('createEntityMiddleware()', () => {
+        it('should load the entity with its fetcher', (done) => {
+            const fetcher = expect.createSpy().andCall(({ customerId }) => Promise.resolve([customerId]));
+            const store = createStore(
+                combineReducers({ entities: reducer }),
+                applyMiddleware(createEntityMiddleware({ fetchers: { orders: fetcher } }), logger)
+            );
+
+            // Under test
+            store.dispatch(loadEntityAction('orders', { customerId: 7 }))
+                .then(() => {
+                    expect(fetcher.calls[0].arguments[0]).toEqual({ customerId: 7 });
+                    expect(actions.map(action => action.type)).toEqual([
+                        ACTION_TYPES.LOAD_ENTITY,
+                        ACTION_TYPES.FETCH_REQUEST,
+                        ACTION_TYPES.FETCH_SUCCESS
+                    ]);
+                    expect(store.getState().entities.orders.data).toEqual([7]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should apply the options of the action', (done) => {
+            const store = createStore(
+                combineReducers({ entities: reducer }),
+                applyMiddleware(createEntityMiddleware({ fetchers: { orders: () => Promise.resolve([]) } }), logger)
+            );
+
+            store.dispatch(loadEntityAction('orders', null, { silent: true }))
+                .then(() => {
+                    expect(actions.map(action => action.type)).toEqual([ACTION_TYPES.LOAD_ENTITY, ACTION_TYPES.FETCH_SUCCESS]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should only handle the LOAD_ENTITY actions of its namespace', (done) => {
+            const admin = createEntityMiddleware({ namespace: 'admin', fetchers: { orders: () => Promise.resolve(['admin']) } });
+            const store = createStore(
+                combineReducers({ admin: createEntityReducer({ namespace: 'admin' }) }),
+                applyMiddleware(admin)
+            );
+            const loadAdminEntity = createActionCreators('admin').loadEntityAction;
+
+            expect(store.dispatch(loadEntityAction('orders'))).toEqual(loadEntityAction('orders'));
+            store.dispatch(loadAdminEntity('orders'))
+                .then(() => {
+                    expect(store.getState().admin.orders.data).toEqual(['admin']);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should fail the entity when its prerequisites cannot be dispatched without the thunk middleware', (done) => {
+            const fetcher = expect.createSpy().andCall(() => Promise.resolve([]));
+            const store = createStore(
+                combineReducers({ entities: reducer }),
+                applyMiddleware(createEntityMiddleware({ fetchers: { dependentOrders: fetcher } }))
+            );
+            const options = { dedupe: true, dependsOn: { customer: loadEntity('dependentCustomer', () => Promise.resolve({ id: 7 })) } };
+
+            // Under test
+            store.dispatch(loadEntityAction('dependentOrders', null, options))
+                .then(() => {
+                    const orders = store.getState().entities.dependentOrders;
+                    expect(fetcher).toNotHaveBeenCalled();
+                    expect(orders.error.message).toMatch(/Actions must be plain objects/);
+                    expect(orders.isFetching).toEqual(false);
+                    expect(store.dispatch(loadEntityAction('dependentOrders', null, options)).then).toBeA('function');
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error if the entity has no fetcher', () => {
+            const store = createStore(combineReducers({ entities: reducer }), applyMiddleware(createEntityMiddleware()));
+            expect(() => store.dispatch(loadEntityAction('unknown'))).toThrow(/No fetcher registered/);
+        });
+    });
+
+    describe('entityMiddleware', () => {
+        it('should use the fetchers registered with registerFetcher()', (done) => {
+            registerFetcher('registeredOrders', () => Promise.resolve(['registered']));
+            const store = createStore(combineReducers({ entities: reducer }), applyMiddleware(entityMiddleware));
+
+            store.dispatch(loadEntityAction('registeredOrders'))
+                .then(() => {
+                    expect(store.getState().entities.registeredOrders.data).toEqual(['registered']);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should use the fetchers registered in the namespace of the middleware', (done) => {
+            registerFetcher('namespacedOrders', () => Promise.resolve(['admin']), 'admin');
+            const store = createStore(
+                combineReducers({ admin: createEntityReducer({ namespace: 'admin' }) }),
+                applyMiddleware(createEntityMiddleware({ namespace: 'admin' }))
+            );
+            const loadAdminEntity = createActionCreators('admin').loadEntityAction;
+
+            expect(() => createStore(combineReducers({ entities: reducer }), applyMiddleware(entityMiddleware))
+                .dispatch(loadEntityAction('namespacedOrders'))).toThrow(/No fetcher registered/);
+            store.dispatch(loadAdminEntity('namespacedOrders'))
+                .then(() => {
+                    expect(store.getState().admin.namespacedOrders.data).toEqual(['admin']);
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+});
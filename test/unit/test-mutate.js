@@ -0,0 +1,110 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const mutateEntity = require('../../src/mutate');
+const loadEntity = require('../../src/thunk');
+const cancelEntity = require('../../src/cancel');
+const reducer = require('../../src/reducer');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+describe('Mutation Thunk Action Creators', () => {
+    let store, entity;
+    beforeEach(() => {
+        entity = 'orders';
+        store = createStore(
+            combineReducers({ entities: reducer }),
+            { entities: { [entity]: { data: [1, 2], isFetching: false, error: null, lastUpdated: 1, requestId: null } } },
+            applyMiddleware(thunk)
+        );
+    });
+
+    describe('mutateEntity()', () => {
+        it('should apply the optimistic data while the promise is pending', () => {
+            // Under test
+            store.dispatch(mutateEntity(entity, new Promise(() => {}), { optimisticData: [1, 2, 3] }));
+
+            expect(store.getState().entities[entity].data).toEqual([1, 2, 3]);
+            expect(store.getState().entities[entity].isFetching).toEqual(false);
+        });
+        it('should accept optimistic data as a function of the current data', () => {
+            // Under test
+            store.dispatch(mutateEntity(entity, new Promise(() => {}), { optimisticData: data => data.concat(3) }));
+
+            expect(store.getState().entities[entity].data).toEqual([1, 2, 3]);
+        });
+        it('should store the resolved data when the promise resolves', (done) => {
+            // Under test
+            store.dispatch(mutateEntity(entity, Promise.resolve([1, 2, 4]), { optimisticData: [1, 2, 3] }))
+                .then(() => {
+                    expect(store.getState().entities[entity].data).toEqual([1, 2, 4]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should roll back to the previous data when the promise rejects', (done) => {
+            const error = new Error('foo');
+
+            // Under test
+            store.dispatch(mutateEntity(entity, Promise.reject(error), { optimisticData: [] }))
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(state.data).toEqual([1, 2]);
+                    expect(state.error).toBe(error);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should keep the previous data on failure without optimistic data', (done) => {
+            const actions = [];
+            const dispatch = (action) => {
+                actions.push(action);
+                return store.dispatch(action);
+            };
+
+            // Under test
+            mutateEntity(entity, Promise.reject(new Error('foo')))(dispatch, store.getState)
+                .then(() => {
+                    expect(actions.map(action => action.type)).toEqual([ACTION_TYPES.FETCH_FAILURE]);
+                    expect(actions[0].rollback).toEqual([1, 2]);
+                    expect(store.getState().entities[entity].data).toEqual([1, 2]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not be reused by a deduped load of the entity', (done) => {
+            const loader = expect.createSpy().andReturn(Promise.resolve([3]));
+            const mutation = store.dispatch(mutateEntity(entity, () => new Promise(resolve => setTimeout(() => resolve([1, 2, 4]), 10))));
+
+            // Under test
+            const load = store.dispatch(loadEntity(entity, loader, { dedupe: true }));
+
+            expect(load).toNotBe(mutation);
+            Promise.all([mutation, load])
+                .then(() => {
+                    expect(loader.calls.length).toEqual(1);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not be aborted by cancelEntity()', (done) => {
+            let signal;
+            const mutation = store.dispatch(mutateEntity(entity, (abortSignal) => {
+                signal = abortSignal;
+                return Promise.resolve([1, 2, 4]);
+            }));
+
+            // Under test
+            store.dispatch(cancelEntity(entity));
+
+            expect(signal.aborted).toEqual(false);
+            mutation.then(() => done()).catch(done);
+        });
+        it('should throw an error when passed invalid arguments', () => {
+            expect(() => {
+                mutateEntity(entity, {});
+            }).toThrow('Missing required entity promise');
+        });
+    });
+});
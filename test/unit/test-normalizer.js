@@ -0,0 +1,79 @@
+'use strict';
+
+const expect = require('expect');
+const EntitySchema = require('../../src/schema');
+const { normalize, denormalize, mergeTables } = require('../../src/common/normalizer');
+
+describe('Normalizer', () => {
+    let customer, order, orders;
+    beforeEach(() => {
+        customer = new EntitySchema('customers');
+        order = new EntitySchema('orders', { customer });
+        orders = [
+            { id: 1, label: 'FOO', customer: { id: 7, name: 'Jane' } },
+            { id: 2, label: 'BAR', customer: { id: 7, name: 'Jane' } }
+        ];
+    });
+
+    describe('invoking normalize()', () => {
+        it('should flatten nested records into byId/allIds tables', () => {
+            const { result, tables } = normalize(orders, [order]);
+
+            expect(result).toEqual([1, 2]);
+            expect(tables).toEqual({
+                orders: {
+                    byId: {
+                        1: { id: 1, label: 'FOO', customer: 7 },
+                        2: { id: 2, label: 'BAR', customer: 7 }
+                    },
+                    allIds: [1, 2]
+                },
+                customers: {
+                    byId  : { 7: { id: 7, name: 'Jane' } },
+                    allIds: [7]
+                }
+            });
+        });
+        it('should return a single id when passed a single record', () => {
+            expect(normalize(orders[0], order).result).toEqual(1);
+        });
+        it('should honor a custom idAttribute', () => {
+            const schema = new EntitySchema('orders', null, { idAttribute: 'orderId' });
+            expect(normalize([{ orderId: 'a' }], [schema]).result).toEqual(['a']);
+        });
+        it('should throw an error when a record has no id', () => {
+            expect(() => {
+                normalize([{ label: 'FOO' }], [order]);
+            }).toThrow('Missing id for record of type "orders"');
+        });
+    });
+
+    describe('invoking denormalize()', () => {
+        it('should rebuild nested records from the tables', () => {
+            const { result, tables } = normalize(orders, [order]);
+            expect(denormalize(result, [order], tables)).toEqual(orders);
+        });
+        it('should stop at circular references', () => {
+            const person = new EntitySchema('people');
+            person.relations.friend = person;
+            const { result, tables } = normalize({ id: 1, friend: { id: 2, friend: 1 } }, person);
+
+            expect(denormalize(result, person, tables)).toEqual({
+                id    : 1,
+                friend: { id: 2, friend: { id: 1, friend: 2 } }
+            });
+        });
+    });
+
+    describe('invoking mergeTables()', () => {
+        it('should merge records by id without duplicating allIds', () => {
+            const first = normalize(orders, [order]).tables;
+            const second = normalize([{ id: 2, label: 'BAZ' }, { id: 3, label: 'QUX' }], [order]).tables;
+            const merged = mergeTables(first, second);
+
+            expect(merged.orders.allIds).toEqual([1, 2, 3]);
+            expect(merged.orders.byId[2]).toEqual({ id: 2, label: 'BAZ', customer: 7 });
+            expect(merged.customers).toBe(first.customers);
+        });
+    });
+});
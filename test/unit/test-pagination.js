@@ -0,0 +1,143 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const loadNextPage = require('../../src/pagination');
+const { resetPagination } = require('../../src/action-creators');
+const reducer = require('../../src/reducer');
+
+const PAGES = {
+    first: { items: [1, 2], nextCursor: 'b', totalCount: 5 },
+    b    : { items: [3, 4], nextCursor: 'c', totalCount: 5 },
+    c    : { items: [5], nextCursor: null, totalCount: 5 }
+};
+
+describe('Pagination', () => {
+    let store, entity, factory;
+    beforeEach(() => {
+        entity = 'pagedOrders';
+        factory = expect.createSpy().andCall((signal, cursor) => Promise.resolve(PAGES[cursor || 'first']));
+        store = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+    });
+
+    describe('loadEntity() with paginate', () => {
+        it('should load the first page and record where the next one begins', (done) => {
+            // Under test
+            store.dispatch(loadEntity(entity, factory, { paginate: true }))
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(factory.calls[0].arguments[1]).toEqual(null);
+                    expect(state.data).toEqual([1, 2]);
+                    expect(state.pagination).toInclude({ cursor: null, nextCursor: 'b', hasMore: true, totalCount: 5 });
+                    expect(state.pagination.pages.length).toEqual(1);
+                    expect(state.pagination.pages[0]).toInclude({ cursor: null, isFetching: false, error: null, count: 2 });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should read pages with custom accessors', (done) => {
+            const response = { results: ['a'], next: null, count: 1 };
+            const paginate = { items: r => r.results, nextCursor: r => r.next, totalCount: r => r.count };
+
+            // Under test
+            store.dispatch(loadEntity(entity, () => Promise.resolve(response), { paginate }))
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(state.data).toEqual(['a']);
+                    expect(state.pagination).toInclude({ nextCursor: null, hasMore: false, totalCount: 1 });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when passed a promise instead of a factory', () => {
+            expect(() => loadEntity(entity, Promise.resolve(), { paginate: true })).toThrow(/promise factory/);
+        });
+    });
+
+    describe('loadNextPage()', () => {
+        it('should append each page until there are no more', (done) => {
+            store.dispatch(loadEntity(entity, factory, { paginate: true }))
+                .then(() => store.dispatch(loadNextPage(entity)))
+                .then(() => store.dispatch(loadNextPage(entity)))
+                .then(() => store.dispatch(loadNextPage(entity)))
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(factory.calls.length).toEqual(3);
+                    expect(factory.calls[1].arguments[1]).toEqual('b');
+                    expect(state.data).toEqual([1, 2, 3, 4, 5]);
+                    expect(state.pagination.pages.map(page => page.cursor)).toEqual([null, 'b', 'c']);
+                    expect(state.pagination.hasMore).toEqual(false);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not load the same page twice while it is pending', (done) => {
+            store.dispatch(loadEntity(entity, factory, { paginate: true }))
+                .then(() => Promise.all([
+                    store.dispatch(loadNextPage(entity)),
+                    store.dispatch(loadNextPage(entity))
+                ]))
+                .then(() => {
+                    expect(factory.calls.length).toEqual(2);
+                    expect(store.getState().entities[entity].data).toEqual([1, 2, 3, 4]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should record a failed page without dropping the pages already loaded', (done) => {
+            const error = new Error('foo');
+            const failing = (signal, cursor) => (cursor ? Promise.reject(error) : Promise.resolve(PAGES.first));
+
+            store.dispatch(loadEntity(entity, failing, { paginate: true }))
+                .then(() => store.dispatch(loadNextPage(entity)))
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(state.data).toEqual([1, 2]);
+                    expect(state.error).toBe(error);
+                    expect(state.pagination.pages[1]).toInclude({ cursor: 'b', isFetching: false, error });
+                    expect(state.pagination.nextCursor).toEqual('b');
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error if the entity was not loaded with paginate', () => {
+            expect(() => store.dispatch(loadNextPage('unknown'))).toThrow(/paginate/);
+        });
+        it('should load pages with the factory of the same store', (done) => {
+            const otherStore = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+            const otherFactory = expect.createSpy().andCall(() => Promise.resolve(PAGES.first));
+
+            store.dispatch(loadEntity(entity, factory, { paginate: true }))
+                .then(() => otherStore.dispatch(loadEntity(entity, otherFactory, { paginate: true })))
+                .then(() => store.dispatch(loadNextPage(entity)))
+                .then(() => {
+                    expect(otherFactory.calls.length).toEqual(1);
+                    expect(factory.calls.length).toEqual(2);
+                    expect(store.getState().entities[entity].data).toEqual([1, 2, 3, 4]);
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+
+    describe('resetPagination()', () => {
+        it('should clear the pages, and drop pages that were pending', (done) => {
+            store.dispatch(loadEntity(entity, factory, { paginate: true }))
+                .then(() => {
+                    const pending = store.dispatch(loadNextPage(entity));
+                    store.dispatch(resetPagination(entity));
+                    return pending;
+                })
+                .then(() => {
+                    const state = store.getState().entities[entity];
+                    expect(state.data).toEqual(null);
+                    expect(state.pagination).toEqual(null);
+                    expect(state.isStale).toEqual(true);
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+});
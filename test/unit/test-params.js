@@ -0,0 +1,77 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const reducer = require('../../src/reducer');
+const { resetEntityByParams, deleteEntityByParams } = require('../../src/action-creators');
+const { getEntityData, isEntityLoaded } = require('../../src/selectors');
+const { getParamsKey } = require('../../src/common/params');
+
+describe('Parameterized entities', () => {
+    let store, entity;
+    beforeEach(() => {
+        entity = 'customerOrders';
+        store = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+    });
+
+    describe('getParamsKey()', () => {
+        it('should not depend on the order of keys', () => {
+            expect(getParamsKey({ a: 1, b: { c: 2, d: 3 } })).toEqual(getParamsKey({ b: { d: 3, c: 2 }, a: 1 }));
+        });
+        it('should tell different params apart', () => {
+            expect(getParamsKey({ customerId: 1 })).toNotEqual(getParamsKey({ customerId: 2 }));
+        });
+        it('should throw an error when params are not an object', () => {
+            expect(() => getParamsKey('customerId=1')).toThrow(/Expected params to be an object/);
+        });
+    });
+
+    describe('loadEntity() with params', () => {
+        beforeEach((done) => {
+            Promise.all([
+                store.dispatch(loadEntity(entity, Promise.resolve(['a1']), { params: { customerId: 'a' } })),
+                store.dispatch(loadEntity(entity, Promise.resolve(['b1']), { params: { customerId: 'b' } }))
+            ])
+            .then(() => done())
+            .catch(done);
+        });
+        it('should store each result under its params key', () => {
+            const byParams = store.getState().entities[entity].byParams;
+            expect(Object.keys(byParams)).toEqual([getParamsKey({ customerId: 'a' }), getParamsKey({ customerId: 'b' })]);
+            expect(byParams[getParamsKey({ customerId: 'a' })].data).toEqual(['a1']);
+        });
+        it('should read each result with the selectors', () => {
+            expect(getEntityData(store.getState(), entity, { customerId: 'b' })).toEqual(['b1']);
+            expect(isEntityLoaded(store.getState(), entity, { customerId: 'a' })).toEqual(true);
+            expect(isEntityLoaded(store.getState(), entity, { customerId: 'c' })).toEqual(false);
+        });
+        it('should reset only the entity of the given params', () => {
+            // Under test
+            store.dispatch(resetEntityByParams(entity, { customerId: 'a' }, Date.now()));
+
+            expect(getEntityData(store.getState(), entity, { customerId: 'a' })).toEqual(null);
+            expect(getEntityData(store.getState(), entity, { customerId: 'b' })).toEqual(['b1']);
+        });
+        it('should delete only the entity of the given params', () => {
+            // Under test
+            store.dispatch(deleteEntityByParams(entity, { customerId: 'a' }));
+
+            expect(Object.keys(store.getState().entities[entity].byParams)).toEqual([getParamsKey({ customerId: 'b' })]);
+        });
+    });
+
+    describe('loadEntity() with params and dedupe', () => {
+        it('should only reuse the in-flight promise of the same params', () => {
+            const factory = expect.createSpy().andCall(() => new Promise(() => {}));
+
+            // Under test
+            store.dispatch(loadEntity(entity, factory, { params: { customerId: 'a' }, dedupe: true }));
+            store.dispatch(loadEntity(entity, factory, { params: { customerId: 'a' }, dedupe: true }));
+            store.dispatch(loadEntity(entity, factory, { params: { customerId: 'b' }, dedupe: true }));
+
+            expect(factory.calls.length).toEqual(2);
+        });
+    });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const reducer = require('../../src/reducer');
+const { createPersistence, createMemoryStorage, createWebStorage } = require('../../src/persistence');
+const { ACTION_TYPES } = require('../../src/common/entity-const');
+
+function configureStore (persistence) {
+    return createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk, persistence.middleware));
+}
+
+describe('Persistence', () => {
+    let storage;
+    beforeEach(() => {
+        storage = createMemoryStorage();
+    });
+
+    describe('createPersistence()', () => {
+        it('should save the listed entities once rehydrated, and restore them in the next session', (done) => {
+            const options = { storage, entities: { orders: true } };
+            const persistence = createPersistence(options);
+            const store = configureStore(persistence);
+            const nextPersistence = createPersistence(options);
+            const nextStore = configureStore(nextPersistence);
+
+            store.dispatch(persistence.rehydrate())
+                .then(() => store.dispatch(loadEntity('orders', Promise.resolve([1, 2]))))
+                .then(() => store.dispatch(loadEntity('customers', Promise.resolve(['a']))))
+                .then(() => nextStore.dispatch(nextPersistence.rehydrate()))
+                .then((restored) => {
+                    expect(Object.keys(restored)).toEqual(['orders']);
+                    expect(nextStore.getState().entities.orders).toInclude({ data: [1, 2], isFetching: false, status: 'success' });
+                    expect(nextStore.getState().entities.customers).toEqual(undefined);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not save before rehydrating, so as not to overwrite the previous session', (done) => {
+            const persistence = createPersistence({ storage, entities: { orders: true } });
+            const store = configureStore(persistence);
+
+            store.dispatch(loadEntity('orders', Promise.resolve([1])))
+                .then(() => {
+                    expect(storage.getItem('redux-entity')).toEqual(null);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should drop entities older than their maxAge', (done) => {
+            const now = Date.now();
+            storage.setItem('redux-entity', {
+                version : 0,
+                entities: {
+                    orders   : { data: [1], lastUpdated: now - 5000 },
+                    customers: { data: ['a'], lastUpdated: now - 5000 }
+                }
+            });
+            const persistence = createPersistence({ storage, entities: { orders: { maxAge: 1000 }, customers: { maxAge: 60000 } } });
+            const store = configureStore(persistence);
+
+            store.dispatch(persistence.rehydrate())
+                .then(() => {
+                    expect(store.getState().entities.orders).toEqual(undefined);
+                    expect(store.getState().entities.customers.data).toEqual(['a']);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should run the migrations of each newer version in order', (done) => {
+            storage.setItem('redux-entity', { version: 1, entities: { orders: { data: [1], lastUpdated: Date.now() } } });
+            const migrations = {
+                1: () => { throw new Error('Already applied'); },
+                2: entities => ({ orders: Object.assign({}, entities.orders, { data: entities.orders.data.concat(2) }) }),
+                3: entities => ({ orders: Object.assign({}, entities.orders, { data: entities.orders.data.concat(3) }) })
+            };
+            const persistence = createPersistence({ storage, entities: { orders: true }, version: 3, migrations });
+            const store = configureStore(persistence);
+
+            store.dispatch(persistence.rehydrate())
+                .then(() => {
+                    expect(store.getState().entities.orders.data).toEqual([1, 2, 3]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when the storage is not an adapter', () => {
+            expect(() => createPersistence({ storage: {}, entities: {} })).toThrow(/getItem and setItem/);
+        });
+    });
+
+    describe('REHYDRATE_ENTITIES', () => {
+        it('should clear isFetching and request ids left by the previous session', () => {
+            const entities = { orders: { data: [1], isFetching: true, requestId: 57, lastUpdated: 1 } };
+
+            // Under test
+            const state = reducer({}, { type: ACTION_TYPES.REHYDRATE_ENTITIES, entities });
+            expect(state.orders).toInclude({ data: [1], isFetching: false, requestId: null, status: 'success' });
+        });
+        it('should keep pagination, and settle the pages that were loading', () => {
+            const pagination = {
+                pages     : [{ cursor: null, isFetching: false, error: null, count: 2 }, { cursor: 'b', isFetching: true, error: null }],
+                cursor    : null,
+                nextCursor: 'b',
+                hasMore   : true,
+                totalCount: 5
+            };
+            const entities = { orders: { data: [1, 2], lastUpdated: 1, pagination } };
+
+            // Under test
+            const state = reducer({}, { type: ACTION_TYPES.REHYDRATE_ENTITIES, entities });
+            expect(state.orders.pagination).toInclude({ nextCursor: 'b', hasMore: true, totalCount: 5 });
+            expect(state.orders.pagination.pages.map(page => page.isFetching)).toEqual([false, false]);
+        });
+        it('should not replace entities loaded since', () => {
+            const existing = { orders: { data: [2], lastUpdated: 2 } };
+
+            // Under test
+            const state = reducer(existing, { type: ACTION_TYPES.REHYDRATE_ENTITIES, entities: { orders: { data: [1], lastUpdated: 1 } } });
+            expect(state.orders).toBe(existing.orders);
+        });
+    });
+
+    describe('createWebStorage()', () => {
+        it('should save values as JSON', () => {
+            const items = {};
+            const webStorage = { getItem: key => items[key], setItem: (key, value) => { items[key] = value; }, removeItem: () => {} };
+
+            // Under test
+            createWebStorage(webStorage).setItem('foo', { bar: 1 });
+            expect(items.foo).toEqual('{"bar":1}');
+            expect(createWebStorage(webStorage).getItem('foo')).toEqual({ bar: 1 });
+        });
+    });
+});
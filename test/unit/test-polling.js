@@ -0,0 +1,134 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const { pollEntity, stopPolling } = require('../../src/polling');
+const reducer = require('../../src/reducer');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+function wait (ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('Polling Thunk Action Creators', () => {
+    let store, entity, actions, handle;
+    beforeEach(() => {
+        entity = 'polledOrders';
+        actions = [];
+        store = createStore(
+            combineReducers({ entities: reducer }),
+            applyMiddleware(thunk, () => next => action => {
+                actions.push(action);
+                return next(action);
+            })
+        );
+    });
+    afterEach(() => {
+        if (handle) handle.stop();
+        handle = null;
+    });
+
+    describe('pollEntity()', () => {
+        it('should load repeatedly, silently after the first load', (done) => {
+            const factory = expect.createSpy().andCall(() => Promise.resolve(['foo']));
+
+            // Under test
+            handle = store.dispatch(pollEntity(entity, factory, { interval: 5 }));
+
+            expect(store.getState().entities[entity].polling).toEqual({ interval: 5 });
+            wait(30)
+                .then(() => {
+                    const requests = actions.filter(action => action.type === ACTION_TYPES.FETCH_REQUEST);
+                    expect(factory.calls.length).toBeGreaterThan(2);
+                    expect(requests.length).toEqual(1);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should stop when the handle is stopped', (done) => {
+            const factory = expect.createSpy().andCall(() => Promise.resolve(['foo']));
+
+            handle = store.dispatch(pollEntity(entity, factory, { interval: 5 }));
+            wait(12)
+                .then(() => {
+                    handle.stop();
+                    expect(store.getState().entities[entity].polling).toEqual(null);
+                    const calls = factory.calls.length;
+                    return wait(20).then(() => {
+                        expect(factory.calls.length).toEqual(calls);
+                    });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should stop after a failed poll with stopOnError', (done) => {
+            const factory = expect.createSpy().andCall(() => Promise.reject(new Error('foo')));
+
+            handle = store.dispatch(pollEntity(entity, factory, { interval: 5, stopOnError: true }));
+            wait(20)
+                .then(() => {
+                    expect(factory.calls.length).toEqual(1);
+                    expect(store.getState().entities[entity].polling).toEqual(null);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should replace the previous poller of the same entity', (done) => {
+            const first = expect.createSpy().andCall(() => Promise.resolve(['first']));
+            const second = expect.createSpy().andCall(() => Promise.resolve(['second']));
+
+            store.dispatch(pollEntity(entity, first, { interval: 5 }));
+            handle = store.dispatch(pollEntity(entity, second, { interval: 5 }));
+            wait(20)
+                .then(() => {
+                    expect(first.calls.length).toEqual(1);
+                    expect(second.calls.length).toBeGreaterThan(1);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error without a positive interval', () => {
+            expect(() => pollEntity(entity, () => Promise.resolve(), {})).toThrow(/interval/);
+        });
+        it('should throw an error when passed a promise instead of a factory', () => {
+            expect(() => pollEntity(entity, Promise.resolve(), { interval: 5 })).toThrow(/promise factory/);
+        });
+    });
+
+    describe('stopPolling()', () => {
+        it('should stop the poller of the entity', (done) => {
+            const factory = expect.createSpy().andCall(() => Promise.resolve(['foo']));
+
+            store.dispatch(pollEntity(entity, factory, { interval: 5 }));
+
+            // Under test
+            store.dispatch(stopPolling(entity));
+
+            expect(store.getState().entities[entity].polling).toEqual(null);
+            wait(20)
+                .then(() => {
+                    expect(factory.calls.length).toEqual(1);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should not stop the poller of another store', (done) => {
+            const otherStore = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+            const factory = expect.createSpy().andCall(() => Promise.resolve(['foo']));
+
+            handle = store.dispatch(pollEntity(entity, factory, { interval: 5 }));
+
+            // Under test
+            otherStore.dispatch(stopPolling(entity));
+
+            expect(store.getState().entities[entity].polling).toEqual({ interval: 5 });
+            wait(20)
+                .then(() => {
+                    expect(factory.calls.length).toBeGreaterThan(1);
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+});
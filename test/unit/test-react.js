@@ -0,0 +1,211 @@
+'use strict';
+
+const expect = require('expect');
+const React = require('react');
+const TestRenderer = require('react-test-renderer');
+const { Provider } = require('react-redux');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const reducer = require('../../src/reducer');
+const loadEntity = require('../../src/thunk');
+const cancelEntity = require('../../src/cancel');
+const { useEntity, EntityBoundary } = require('../../src/react');
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const h = React.createElement;
+const { act } = TestRenderer;
+
+function configureStore (entities) {
+    return createStore(combineReducers({ entities: reducer }), { entities: entities || {} }, applyMiddleware(thunk));
+}
+
+function render (store, element) {
+    let renderer;
+    act(() => {
+        renderer = TestRenderer.create(h(Provider, { store }, element));
+    });
+    return renderer;
+}
+
+/**
+ * Run an async callback in act(), whose thenable doesn't chain
+ */
+function actAsync (callback) {
+    return new Promise((resolve, reject) => act(callback).then(resolve, reject));
+}
+
+function settle () {
+    return actAsync(() => new Promise(resolve => setTimeout(resolve, 10)));
+}
+
+describe('React bindings', () => {
+    let store;
+    beforeEach(() => {
+        store = configureStore();
+    });
+
+    describe('useEntity()', () => {
+        let result, renderer;
+        function Orders (props) {
+            result = useEntity('reactOrders', props.loader, [props.customerId], props.options);
+            return null;
+        }
+        afterEach(() => {
+            if (renderer) act(() => renderer.unmount());
+            renderer = null;
+        });
+
+        it('should load the entity on mount, and read it from the store', (done) => {
+            const loader = expect.createSpy().andCall(() => Promise.resolve([1, 2]));
+
+            // Under test
+            renderer = render(store, h(Orders, { loader, customerId: 1 }));
+
+            expect(loader.calls.length).toEqual(1);
+            expect(result).toInclude({ data: null, isFetching: true, status: 'loading' });
+            settle()
+                .then(() => {
+                    expect(result).toInclude({ data: [1, 2], error: null, isFetching: false, status: 'success' });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should load again when deps change', (done) => {
+            const loader = expect.createSpy().andCall(() => Promise.resolve([1]));
+            renderer = render(store, h(Orders, { loader, customerId: 1 }));
+
+            settle()
+                .then(() => {
+                    // Under test
+                    act(() => renderer.update(h(Provider, { store }, h(Orders, { loader, customerId: 2 }))));
+                    return settle();
+                })
+                .then(() => {
+                    expect(loader.calls.length).toEqual(2);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should reload with the latest loader, regardless of staleTime', (done) => {
+            const loader = expect.createSpy().andCall(() => Promise.resolve([1]));
+            const latest = expect.createSpy().andCall(() => Promise.resolve([2]));
+            const options = { staleTime: 60000 };
+            renderer = render(store, h(Orders, { loader, customerId: 1, options }));
+
+            settle()
+                .then(() => {
+                    act(() => renderer.update(h(Provider, { store }, h(Orders, { loader: latest, customerId: 1, options }))));
+
+                    // Under test
+                    return actAsync(() => result.reload());
+                })
+                .then(() => {
+                    expect(loader.calls.length).toEqual(1);
+                    expect(latest.calls.length).toEqual(1);
+                    expect(result.data).toEqual([2]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should handle processor errors of the load', (done) => {
+            const onUnhandled = expect.createSpy();
+            const options = { processors: { afterSuccess: () => { throw new Error('foo'); } } };
+            process.on('unhandledRejection', onUnhandled);
+
+            // Under test
+            renderer = render(store, h(Orders, { loader: () => Promise.resolve([1]), customerId: 1, options }));
+
+            settle()
+                .then(() => {
+                    process.removeListener('unhandledRejection', onUnhandled);
+                    expect(onUnhandled).toNotHaveBeenCalled();
+                    expect(result).toInclude({ data: [1], isFetching: false });
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+
+    describe('<EntityBoundary>', () => {
+        const props = {
+            name    : 'boundaryOrders',
+            loading : () => 'loading',
+            error   : error => `error: ${error.message}`,
+            empty   : () => 'empty',
+            children: orders => `${orders.length} orders`
+        };
+
+        it('should render loading until the entity has loaded', () => {
+            expect(render(store, h(EntityBoundary, props)).toJSON()).toEqual('loading');
+        });
+        it('should render the error of a failed load', () => {
+            store = configureStore({ boundaryOrders: { data: null, error: new Error('foo'), lastUpdated: 1, isFetching: false } });
+            expect(render(store, h(EntityBoundary, props)).toJSON()).toEqual('error: foo');
+        });
+        it('should render empty when the entity loaded without data', () => {
+            store = configureStore({ boundaryOrders: { data: [], error: null, lastUpdated: 1, isFetching: false } });
+            expect(render(store, h(EntityBoundary, props)).toJSON()).toEqual('empty');
+        });
+        it('should render the data with children', () => {
+            store = configureStore({ boundaryOrders: { data: [1, 2], error: null, lastUpdated: 1, isFetching: false } });
+            expect(render(store, h(EntityBoundary, props)).toJSON()).toEqual('2 orders');
+        });
+        it('should render empty once the first load is cancelled', (done) => {
+            const renderer = render(store, h(EntityBoundary, props));
+            let load;
+            act(() => {
+                load = store.dispatch(loadEntity('boundaryOrders', () => new Promise(resolve => setTimeout(() => resolve([1]), 10))));
+            });
+            expect(renderer.toJSON()).toEqual('loading');
+
+            // Under test
+            act(() => {
+                store.dispatch(cancelEntity('boundaryOrders'));
+            });
+
+            expect(renderer.toJSON()).toEqual('empty');
+            actAsync(() => load)
+                .then(() => {
+                    expect(renderer.toJSON()).toEqual('empty');
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should render empty once the first load ends with a processor error', (done) => {
+            const renderer = render(store, h(EntityBoundary, props));
+            const options = { processors: { beforeSuccess: () => { throw new Error('foo'); } }, onProcessorError: () => undefined };
+
+            // Under test
+            actAsync(() => store.dispatch(loadEntity('boundaryOrders', () => Promise.resolve([1]), options)))
+                .then(() => {
+                    expect(renderer.toJSON()).toEqual('empty');
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should find entities by params', () => {
+            store = configureStore({
+                boundaryOrders: { byParams: { '{"customerId":7}': { data: [1], error: null, lastUpdated: 1, isFetching: false } } }
+            });
+            const element = h(EntityBoundary, Object.assign({}, props, { params: { customerId: 7 } }));
+            expect(render(store, element).toJSON()).toEqual('1 orders');
+        });
+        it('should render elements as is, and nothing for render props left out', () => {
+            const element = h(EntityBoundary, { name: 'boundaryOrders', loading: h('p', null, 'loading') });
+            expect(render(store, element).toJSON()).toEqual({ type: 'p', props: {}, children: ['loading'] });
+
+            store = configureStore({ boundaryOrders: { data: [], error: null, lastUpdated: 1, isFetching: false } });
+            expect(render(store, element).toJSON()).toEqual(null);
+        });
+        it('should throw an error without an entity name', () => {
+            const onError = console.error;
+            console.error = () => undefined;
+            try {
+                expect(() => render(store, h(EntityBoundary, {}))).toThrow(/Missing required entity name/);
+            } finally {
+                console.error = onError;
+            }
+        });
+    });
+});
@@ -0,0 +1,113 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const { createRecord, updateRecord, removeRecord, upsertRecords } = require('../../src/records');
+const reducer = require('../../src/reducer');
+const EntitySchema = require('../../src/schema');
+const CONST = require('../../src/common/entity-const');
+
+describe('Record Thunk Action Creators', () => {
+    let store, entity;
+    beforeEach(() => {
+        entity = 'orders';
+        store = createStore(
+            combineReducers({ entities: reducer }),
+            { entities: { [entity]: Object.assign({}, CONST.INITIAL_ENTITY_STATE, { data: [{ id: 1, total: 10 }, { id: 2, total: 20 }] }) } },
+            applyMiddleware(thunk)
+        );
+    });
+
+    const getEntity = () => store.getState().entities[entity];
+
+    describe('createRecord()', () => {
+        it('should add the created record to the data', (done) => {
+            store.dispatch(createRecord(entity, Promise.resolve({ id: 3, total: 30 })))
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 1, total: 10 }, { id: 2, total: 20 }, { id: 3, total: 30 }]);
+                    expect(getEntity().records).toEqual({});
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should track the pending record under its recordKey', () => {
+            // Under test
+            store.dispatch(createRecord(entity, new Promise(() => {}), { recordKey: 'new-order' }));
+
+            expect(getEntity().records['new-order']).toEqual({ isPending: true, error: null, operation: 'create' });
+            expect(getEntity().isFetching).toEqual(false);
+        });
+    });
+
+    describe('updateRecord()', () => {
+        it('should replace the record of the same id', (done) => {
+            store.dispatch(updateRecord(entity, 2, Promise.resolve({ id: 2, total: 25 })))
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 1, total: 10 }, { id: 2, total: 25 }]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should record the error on the record, and leave the data as is', (done) => {
+            const error = new Error('foo');
+
+            store.dispatch(updateRecord(entity, 2, Promise.reject(error)))
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 1, total: 10 }, { id: 2, total: 20 }]);
+                    expect(getEntity().records[2]).toEqual({ isPending: false, error, operation: 'update' });
+                    expect(getEntity().error).toEqual(null);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error without a record id', () => {
+            expect(() => updateRecord(entity, null, Promise.resolve())).toThrow(/Missing required record id/);
+        });
+    });
+
+    describe('removeRecord()', () => {
+        it('should remove the record once the promise resolves', (done) => {
+            const pending = store.dispatch(removeRecord(entity, 1, Promise.resolve()));
+            expect(getEntity().records[1].isPending).toEqual(true);
+
+            pending
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 2, total: 20 }]);
+                    expect(getEntity().records[1]).toNotExist();
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+
+    describe('upsertRecords()', () => {
+        it('should replace existing records and add new ones', (done) => {
+            store.dispatch(upsertRecords(entity, Promise.resolve([{ id: 2, total: 22 }, { id: 4, total: 40 }])))
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 1, total: 10 }, { id: 2, total: 22 }, { id: 4, total: 40 }]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should match records by idAttribute', (done) => {
+            store.dispatch(upsertRecords(entity, Promise.resolve({ id: 9, total: 15 }), { idAttribute: 'total' }))
+                .then(() => {
+                    expect(getEntity().data).toEqual([{ id: 1, total: 10 }, { id: 2, total: 20 }, { id: 9, total: 15 }]);
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should normalize the records against the schema', (done) => {
+            const order = new EntitySchema('orders');
+            store.dispatch(upsertRecords('orderIds', Promise.resolve([{ id: 5, total: 50 }]), { schema: [order] }))
+                .then(() => {
+                    const state = store.getState().entities;
+                    expect(state.orderIds.data).toEqual([5]);
+                    expect(state[CONST.TABLES_KEY].orders.byId[5]).toEqual({ id: 5, total: 50 });
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+});
@@ -4,6 +4,8 @@ const expect = require('expect');
 const reducer = require('../../src/reducer');
 const CONST = require('../../src/common/entity-const');
 
+const { getActionTypes } = require('../../src/common/action-types');
+
 const ACTION_TYPES = CONST.ACTION_TYPES;
 
 describe('Reducer', () => {
@@ -24,15 +26,22 @@ describe('Reducer', () => {
             let lastUpdated;
             let entity;
             let existingState;
+            let requestId;
             beforeEach(() => {
                 entity = 'foo';
                 lastUpdated = Date.now();
+                requestId = 2;
                 existingState = {
                     [entity]: {
                         data       : null,
                         isFetching : false,
                         error      : null,
-                        lastUpdated: Date.now()
+                        lastUpdated: Date.now(),
+                        requestId  : 1,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : false,
+                        status     : 'idle'
                     }
                 };
             });
@@ -43,13 +52,18 @@ describe('Reducer', () => {
                         data       : null,
                         error      : null,
                         isFetching : true,
-                        lastUpdated: existingState[entity].lastUpdated
+                        lastUpdated: existingState[entity].lastUpdated,
+                        requestId  : requestId,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : false,
+                        status     : 'loading'
                     };
 
                     const action = ACTION_TYPES.FETCH_REQUEST;
 
                     // Under test
-                    const state = reducer(existingState, { entity, lastUpdated, type: action });
+                    const state = reducer(existingState, { entity, lastUpdated, requestId, type: action });
 
                     expect(state).toEqual({ [entity]: expectedState });
                 });
@@ -62,13 +76,18 @@ describe('Reducer', () => {
                         data       : data,
                         error      : null,
                         isFetching : false,
-                        lastUpdated: lastUpdated
+                        lastUpdated: lastUpdated,
+                        requestId  : requestId,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : false,
+                        status     : 'success'
                     };
 
                     const action = ACTION_TYPES.FETCH_SUCCESS;
 
                     // Under test
-                    const state = reducer(existingState, { entity, data, lastUpdated, type: action });
+                    const state = reducer(existingState, { entity, data, lastUpdated, requestId, type: action });
                     expect(state[entity]).toEqual(expectedState);
                 });
                 it('if append is true, then new data should be pushed onto the existing array (objects)', () => {
@@ -79,13 +98,18 @@ describe('Reducer', () => {
                         data       : [{ baz: 'bar' }, { foo: 'bar' }],
                         error      : null,
                         isFetching : false,
-                        lastUpdated: lastUpdated
+                        lastUpdated: lastUpdated,
+                        requestId  : requestId,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : false,
+                        status     : 'success'
                     };
 
                     const action = ACTION_TYPES.FETCH_SUCCESS;
 
                     // Under test
-                    const state = reducer(existingState, { entity, data, lastUpdated, type: action, append: true });
+                    const state = reducer(existingState, { entity, data, lastUpdated, requestId, type: action, append: true });
                     expect(state[entity]).toEqual(expectedState);
                 });
                 it('if append is true, then new data should be concatenated with the existing array (array)', () => {
@@ -96,15 +120,66 @@ describe('Reducer', () => {
                         data       : [123, 456, 789, 101112],
                         error      : null,
                         isFetching : false,
-                        lastUpdated: lastUpdated
+                        lastUpdated: lastUpdated,
+                        requestId  : requestId,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : false,
+                        status     : 'success'
                     };
 
                     const action = ACTION_TYPES.FETCH_SUCCESS;
 
                     // Under test
-                    const state = reducer(existingState, { entity, data, lastUpdated, type: action, append: true });
+                    const state = reducer(existingState, { entity, data, lastUpdated, requestId, type: action, append: true });
                     expect(state[entity]).toEqual(expectedState);
                 });
+                it('if append is true, then records should be merged by their idAttribute', () => {
+                    existingState[entity].data = [{ orderId: 1, total: 10 }, { orderId: 2, total: 20 }];
+                    const data = [{ orderId: 2, total: 25 }, { orderId: 3, total: 30 }, 'foo'];
+                    const action = ACTION_TYPES.FETCH_SUCCESS;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, data, lastUpdated, requestId, type: action, append: true, idAttribute: 'orderId' });
+                    expect(state[entity].data).toEqual([{ orderId: 1, total: 10 }, { orderId: 2, total: 25 }, { orderId: 3, total: 30 }, 'foo']);
+                });
+            });
+            describe('FETCH_SUCCESS (out of order)', () => {
+                it('should ignore a response from a request older than the latest one', () => {
+                    existingState[entity].data = 'newer';
+                    const action = ACTION_TYPES.FETCH_SUCCESS;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, data: 'older', lastUpdated, requestId: 0, type: action });
+                    expect(state).toBe(existingState);
+                });
+            });
+            describe('FETCH_SUCCESS (normalized)', () => {
+                let tables;
+                beforeEach(() => {
+                    tables = {
+                        orders: {
+                            byId  : { 1: { id: 1 }, 2: { id: 2 } },
+                            allIds: [1, 2]
+                        }
+                    };
+                });
+                it('should store the result on data and merge the tables', () => {
+                    const action = ACTION_TYPES.FETCH_SUCCESS;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, data: [1, 2], lastUpdated, tables, type: action });
+                    expect(state[entity].data).toEqual([1, 2]);
+                    expect(state[CONST.TABLES_KEY]).toEqual(tables);
+                });
+                it('if append is true, then ids should be merged without duplicates', () => {
+                    existingState[entity].data = [1, 2];
+                    const action = ACTION_TYPES.FETCH_SUCCESS;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, data: [2, 3], lastUpdated, tables, type: action, append: true });
+                    expect(state[entity].data).toEqual([1, 2, 3]);
+                });
             });
             describe('FETCH_FAILURE', () => {
                 it('should update the data, error, isFetching and lastUpdated properties', () => {
@@ -115,16 +190,124 @@ describe('Reducer', () => {
                         data       : data,
                         error      : error,
                         isFetching : false,
-                        lastUpdated: lastUpdated
+                        lastUpdated: lastUpdated,
+                        requestId  : requestId,
+                        retryCount : 0,
+                        nextRetryAt: null,
+                        isStale    : true,
+                        status     : 'error'
                     };
 
                     const action = ACTION_TYPES.FETCH_FAILURE;
 
                     // Under test
-                    const state = reducer(existingState, { entity, data, error, lastUpdated, type: action });
+                    const state = reducer(existingState, { entity, data, error, lastUpdated, requestId, type: action });
                     expect(state[entity]).toEqual(expectedState);
                 });
             });
+            describe('FETCH_RETRY', () => {
+                it('should record the retry count and time of the next retry', () => {
+                    const nextRetryAt = Date.now() + 4000;
+                    const action = ACTION_TYPES.FETCH_RETRY;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, retryCount: 2, nextRetryAt, requestId, type: action });
+                    expect(state[entity].retryCount).toEqual(2);
+                    expect(state[entity].nextRetryAt).toEqual(nextRetryAt);
+                });
+                it('should be cleared when the request settles', () => {
+                    const retrying = reducer(existingState, { entity, retryCount: 1, nextRetryAt: lastUpdated, requestId, type: ACTION_TYPES.FETCH_RETRY });
+
+                    // Under test
+                    const state = reducer(retrying, { entity, data: 'foo', lastUpdated, requestId, type: ACTION_TYPES.FETCH_SUCCESS });
+                    expect(state[entity].retryCount).toEqual(1);
+                    expect(state[entity].nextRetryAt).toEqual(null);
+                });
+            });
+            describe('OPTIMISTIC_UPDATE', () => {
+                it('should replace the data and supersede pending requests', () => {
+                    const action = ACTION_TYPES.OPTIMISTIC_UPDATE;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, data: 'optimistic', requestId, type: action });
+                    expect(state[entity].data).toEqual('optimistic');
+                    expect(state[entity].requestId).toEqual(requestId);
+                    expect(state[entity].lastUpdated).toEqual(existingState[entity].lastUpdated);
+                });
+            });
+            describe('FETCH_FAILURE (rollback)', () => {
+                it('should restore the rolled back data instead of clearing it', () => {
+                    const error = new Error('Something bad');
+                    const action = ACTION_TYPES.FETCH_FAILURE;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, error, lastUpdated, rollback: ['previous'], requestId, type: action });
+                    expect(state[entity].data).toEqual(['previous']);
+                    expect(state[entity].error).toBe(error);
+                });
+            });
+            describe('FETCH_FAILURE (keepData)', () => {
+                it('should keep the previous data and flag the error', () => {
+                    existingState[entity].data = ['previous'];
+                    const error = new Error('Something bad');
+                    const action = ACTION_TYPES.FETCH_FAILURE;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, error, lastUpdated, keepData: true, requestId, type: action });
+                    expect(state[entity].data).toEqual(['previous']);
+                    expect(state[entity].error).toBe(error);
+                    expect(state[entity].status).toEqual('error');
+                });
+            });
+            describe('status', () => {
+                it('should be refreshing when a request starts with data already loaded', () => {
+                    existingState[entity].data = ['previous'];
+
+                    // Under test
+                    const state = reducer(existingState, { entity, requestId, type: ACTION_TYPES.FETCH_REQUEST });
+                    expect(state[entity].status).toEqual('refreshing');
+                });
+                it('should return to its settled value when a request is cancelled', () => {
+                    existingState[entity].data = ['previous'];
+                    const fetching = reducer(existingState, { entity, requestId, type: ACTION_TYPES.FETCH_REQUEST });
+
+                    // Under test
+                    const state = reducer(fetching, { entity, requestId: 3, type: ACTION_TYPES.CANCEL_ENTITY });
+                    expect(state[entity].status).toEqual('success');
+                });
+            });
+            describe('INVALIDATE_ENTITY', () => {
+                it('should flag the entity as stale', () => {
+                    const action = ACTION_TYPES.INVALIDATE_ENTITY;
+
+                    // Under test
+                    const state = reducer(existingState, { entity, type: action });
+                    expect(state[entity]).toEqual(Object.assign({}, existingState[entity], { isStale: true }));
+                });
+            });
+            describe('CANCEL_ENTITY', () => {
+                it('should stop fetching and drop pending responses', () => {
+                    const fetching = reducer(existingState, { entity, requestId, type: ACTION_TYPES.FETCH_REQUEST });
+
+                    // Under test
+                    const cancelled = reducer(fetching, { entity, requestId: 3, type: ACTION_TYPES.CANCEL_ENTITY });
+                    expect(cancelled[entity].isFetching).toEqual(false);
+                    expect(cancelled[entity].requestId).toEqual(3);
+
+                    const state = reducer(cancelled, { entity, data: 'late', lastUpdated, requestId, type: ACTION_TYPES.FETCH_SUCCESS });
+                    expect(state).toBe(cancelled);
+                });
+            });
+            describe('PROCESSOR_ERROR', () => {
+                it('should stop fetching, leaving data and error as they are', () => {
+                    const fetching = reducer(existingState, { entity, requestId, type: ACTION_TYPES.FETCH_REQUEST });
+                    const error = new Error('foo');
+
+                    // Under test
+                    const state = reducer(fetching, { entity, error, stage: 'beforeSuccess', requestId, type: ACTION_TYPES.PROCESSOR_ERROR });
+                    expect(state[entity]).toInclude({ isFetching: false, data: existingState[entity].data, error: null });
+                });
+            });
             describe('RESET_ENTITY', () => {
                 it('should revert the entity to the default entity state', () => {
                     const expectedState = Object.assign({}, CONST.INITIAL_ENTITY_STATE, { lastUpdated });
@@ -146,4 +329,42 @@ describe('Reducer', () => {
             });
         });
     });
+    describe('invoking createEntityReducer()', () => {
+        it('should only respond to the action types of its namespace', () => {
+            const admin = reducer.createEntityReducer({ namespace: 'admin' });
+            const types = getActionTypes('admin');
+
+            expect(types.FETCH_REQUEST).toEqual('@@redux-entity/admin/FETCH_REQUEST');
+            expect(admin({}, { entity: 'foo', type: ACTION_TYPES.FETCH_REQUEST })).toEqual({});
+            expect(reducer({}, { entity: 'foo', type: types.FETCH_REQUEST })).toEqual({});
+            expect(admin({}, { entity: 'foo', type: types.FETCH_REQUEST }).foo.isFetching).toEqual(true);
+        });
+        it('should extend the initial entity state', () => {
+            const custom = reducer.createEntityReducer({ initialEntityState: { page: 1 } });
+            const expectedState = Object.assign({}, CONST.INITIAL_ENTITY_STATE, { page: 1, lastUpdated: 123 });
+
+            // Under test
+            const state = custom({}, { entity: 'foo', lastUpdated: 123, type: ACTION_TYPES.RESET_ENTITY });
+            expect(state.foo).toEqual(expectedState);
+        });
+        it('should run the entity reducers after the built-in handling', () => {
+            const custom = reducer.createEntityReducer({
+                entityReducers: {
+                    foo: (foo, action) => {
+                        if (action.type !== 'NEXT_PAGE') return foo;
+                        return Object.assign({}, foo, { page: foo.page + 1 });
+                    }
+                }
+            });
+            const state = { foo: { page: 1 } };
+
+            expect(custom(state, { type: 'UNRELATED' })).toBe(state);
+            expect(custom(state, { type: 'NEXT_PAGE' }).foo.page).toEqual(2);
+        });
+        it('should throw an error when passed invalid options', () => {
+            expect(() => {
+                reducer.createEntityReducer('admin');
+            }).toThrow('Expected options to be an object');
+        });
+    });
 });
@@ -0,0 +1,62 @@
+'use strict';
+
+const expect = require('expect');
+const RetryPolicy = require('../../src/common/retry-policy');
+const BACKOFF = require('../../src/common/entity-const').BACKOFF;
+
+describe('RetryPolicy', () => {
+    describe('invoking canRetry()', () => {
+        it('should not retry by default', () => {
+            expect(new RetryPolicy().canRetry(new Error(), 0)).toEqual(false);
+        });
+        it('should retry until the attempts are used up', () => {
+            const policy = new RetryPolicy({ attempts: 2 });
+            expect(policy.canRetry(new Error(), 0)).toEqual(true);
+            expect(policy.canRetry(new Error(), 1)).toEqual(true);
+            expect(policy.canRetry(new Error(), 2)).toEqual(false);
+        });
+        it('should consult the shouldRetry predicate', () => {
+            const policy = new RetryPolicy({
+                attempts   : 3,
+                shouldRetry: (error) => error.status >= 500
+            });
+            expect(policy.canRetry({ status: 503 }, 0)).toEqual(true);
+            expect(policy.canRetry({ status: 404 }, 0)).toEqual(false);
+        });
+    });
+
+    describe('invoking getDelay()', () => {
+        it('should back off exponentially by default', () => {
+            const policy = new RetryPolicy({ attempts: 3, delay: 100 });
+            expect([1, 2, 3].map(n => policy.getDelay(n))).toEqual([100, 200, 400]);
+        });
+        it('should support fixed and linear backoff', () => {
+            const fixed = new RetryPolicy({ delay: 100, backoff: BACKOFF.FIXED });
+            const linear = new RetryPolicy({ delay: 100, backoff: BACKOFF.LINEAR });
+            expect([1, 2, 3].map(n => fixed.getDelay(n))).toEqual([100, 100, 100]);
+            expect([1, 2, 3].map(n => linear.getDelay(n))).toEqual([100, 200, 300]);
+        });
+        it('should support a custom backoff function', () => {
+            const policy = new RetryPolicy({ delay: 10, backoff: (n, delay) => n * delay + 1 });
+            expect(policy.getDelay(3)).toEqual(31);
+        });
+        it('should cap the delay at maxDelay', () => {
+            const policy = new RetryPolicy({ delay: 1000, maxDelay: 1500 });
+            expect(policy.getDelay(5)).toEqual(1500);
+        });
+        it('should reduce the delay by up to the jitter fraction', () => {
+            const policy = new RetryPolicy({ delay: 1000, jitter: 0.5 });
+            for (let i = 0; i < 20; i++) {
+                const delay = policy.getDelay(1);
+                expect(delay).toBeGreaterThanOrEqualTo(500);
+                expect(delay).toBeLessThanOrEqualTo(1000);
+            }
+        });
+    });
+
+    describe('when passed invalid options', () => {
+        it('should throw an error for an unknown backoff strategy', () => {
+            expect(() => new RetryPolicy({ backoff: 'sometimes' })).toThrow('Unknown backoff strategy "sometimes"');
+        });
+    });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const expect = require('expect');
+const reducer = require('../../src/reducer');
+const selectors = require('../../src/selectors');
+const EntitySchema = require('../../src/schema');
+const { normalize } = require('../../src/common/normalizer');
+const ACTION_TYPES = require('../../src/common/entity-const').ACTION_TYPES;
+
+describe('Selectors', () => {
+    let state, customer, order, orders;
+    beforeEach(() => {
+        customer = new EntitySchema('customers');
+        order = new EntitySchema('orders', { customer });
+        orders = [
+            { id: 1, customer: { id: 7, name: 'Jane' } },
+            { id: 2, customer: { id: 8, name: 'John' } }
+        ];
+        const { result, tables } = normalize(orders, [order]);
+        state = {
+            entities: reducer({}, {
+                type       : ACTION_TYPES.FETCH_SUCCESS,
+                entity     : 'orders',
+                data       : result,
+                lastUpdated: Date.now(),
+                tables
+            })
+        };
+    });
+
+    describe('getDenormalizedEntity()', () => {
+        it('should rebuild the entity data from the tables', () => {
+            expect(selectors.getDenormalizedEntity(state, 'orders', [order])).toEqual(orders);
+        });
+        it('should return null when the entity is not loaded', () => {
+            expect(selectors.getDenormalizedEntity(state, 'products', [order])).toEqual(null);
+        });
+    });
+
+    describe('getRecordById()', () => {
+        it('should rebuild a single record', () => {
+            expect(selectors.getRecordById(state, customer, 8)).toEqual({ id: 8, name: 'John' });
+        });
+    });
+
+    describe('getAllRecords()', () => {
+        it('should rebuild every record of a type', () => {
+            expect(selectors.getAllRecords(state, customer)).toEqual([
+                { id: 7, name: 'Jane' },
+                { id: 8, name: 'John' }
+            ]);
+        });
+    });
+
+    describe('entity selectors', () => {
+        let error;
+        beforeEach(() => {
+            error = { message: 'foo' };
+            state = {
+                entities: {
+                    orders   : { data: [1], isFetching: false, error: null, lastUpdated: 1 },
+                    customers: { data: null, isFetching: true, error: null, lastUpdated: null },
+                    products : { data: null, isFetching: false, error, lastUpdated: 2 }
+                }
+            };
+        });
+
+        it('should read the properties of an entity', () => {
+            expect(selectors.getEntity(state, 'orders')).toBe(state.entities.orders);
+            expect(selectors.getEntityData(state, 'orders')).toEqual([1]);
+            expect(selectors.isEntityFetching(state, 'customers')).toEqual(true);
+            expect(selectors.getEntityError(state, 'products')).toBe(error);
+            expect(selectors.getEntityLastUpdated(state, 'products')).toEqual(2);
+        });
+        it('should treat only successfully loaded entities as loaded', () => {
+            expect(selectors.isEntityLoaded(state, 'orders')).toEqual(true);
+            expect(selectors.isEntityLoaded(state, 'customers')).toEqual(false);
+            expect(selectors.isEntityLoaded(state, 'products')).toEqual(false);
+        });
+        it('should tolerate missing entities and a missing mount point', () => {
+            expect(selectors.getEntityData(state, 'foo')).toEqual(null);
+            expect(selectors.isEntityFetching({}, 'orders')).toEqual(false);
+        });
+    });
+
+    describe('createSelectors()', () => {
+        it('should read entities from a nested mount point', () => {
+            const nested = selectors.createSelectors('api.entities');
+            expect(nested.getEntityData({ api: { entities: { orders: { data: 'foo' } } } }, 'orders')).toEqual('foo');
+        });
+        it('should read entities using a mount function', () => {
+            const custom = selectors.createSelectors(s => s.cache);
+            expect(custom.getEntityData({ cache: { orders: { data: 'foo' } } }, 'orders')).toEqual('foo');
+        });
+    });
+
+    describe('makeCombinedSelector()', () => {
+        let orders, customers;
+        beforeEach(() => {
+            orders = { data: [1], isFetching: false, error: null };
+            customers = { data: null, isFetching: true, error: null };
+            state = { entities: { orders, customers } };
+        });
+
+        it('should aggregate the entities', () => {
+            const selector = selectors.makeCombinedSelector(['orders', 'customers']);
+            expect(selector(state)).toEqual({
+                data      : { orders: [1], customers: null },
+                isFetching: true,
+                error     : null,
+                isLoaded  : false
+            });
+        });
+        it('should return the same object until an entity changes', () => {
+            const selector = selectors.makeCombinedSelector(['orders', 'customers']);
+            const first = selector(state);
+
+            expect(selector({ entities: { orders, customers }, other: 'change' })).toBe(first);
+
+            const next = selector({ entities: { orders, customers: { data: [2], isFetching: false, error: null } } });
+            expect(next).toNotBe(first);
+            expect(next.isLoaded).toEqual(true);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const expect = require('expect');
+const { createStore, combineReducers, applyMiddleware } = require('redux');
+const thunk = require('redux-thunk').default;
+const loadEntity = require('../../src/thunk');
+const loadNextPage = require('../../src/pagination');
+const reducer = require('../../src/reducer');
+const { prefetchEntities, dehydrate, hydrate } = require('../../src/ssr');
+
+function configureStore () {
+    return createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+}
+
+describe('Server-side rendering', () => {
+    let server, client;
+    beforeEach(() => {
+        server = configureStore();
+        client = configureStore();
+    });
+
+    describe('prefetchEntities()', () => {
+        it('should resolve once every thunk has settled', (done) => {
+            // Under test
+            prefetchEntities(server, [
+                loadEntity('ssrOrders', Promise.resolve([1, 2])),
+                loadEntity('ssrCustomers', Promise.reject(new Error('foo')))
+            ])
+                .then(() => {
+                    const { entities } = server.getState();
+                    expect(entities.ssrOrders.data).toEqual([1, 2]);
+                    expect(entities.ssrCustomers.error.message).toEqual('foo');
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should throw an error when not passed a store', () => {
+            expect(() => prefetchEntities(null, [])).toThrow(/Expected a Redux store/);
+        });
+    });
+
+    describe('dehydrate() and hydrate()', () => {
+        let dehydrated;
+        beforeEach((done) => {
+            prefetchEntities(server, [
+                loadEntity('ssrOrders', Promise.resolve([1, 2])),
+                loadEntity('ssrCustomers', Promise.reject(new Error('foo')))
+            ])
+                .then(() => {
+                    dehydrated = JSON.parse(JSON.stringify(dehydrate(server.getState())));
+                })
+                .then(done)
+                .catch(done);
+        });
+
+        it('should normalize errors so that they survive serialization', () => {
+            expect(dehydrated.ssrCustomers.error).toInclude({ message: 'foo', name: 'Error' });
+        });
+        it('should hydrate the client without loading fresh entities again', (done) => {
+            const factory = expect.createSpy().andCall(() => Promise.resolve([3]));
+
+            // Under test
+            client.dispatch(hydrate(dehydrated));
+
+            client.dispatch(loadEntity('ssrOrders', factory, { staleTime: 30000 }))
+                .then(() => {
+                    expect(factory).toNotHaveBeenCalled();
+                    expect(client.getState().entities.ssrOrders).toInclude({ data: [1, 2], isStale: false, status: 'success' });
+                })
+                .then(done)
+                .catch(done);
+        });
+        it('should leave failed entities stale, so that the client loads them again', () => {
+            // Under test
+            client.dispatch(hydrate(dehydrated));
+
+            expect(client.getState().entities.ssrCustomers).toInclude({ isStale: true, status: 'error' });
+        });
+        it('should keep pagination, so that the client loads the next page', (done) => {
+            const pages = { first: { items: [1, 2], nextCursor: 'b' }, b: { items: [3, 4], nextCursor: null } };
+            const factory = (signal, cursor) => Promise.resolve(pages[cursor || 'first']);
+            const options = { paginate: true, staleTime: 30000 };
+
+            prefetchEntities(server, [loadEntity('ssrPages', factory, options)])
+                .then(() => {
+                    // Under test
+                    client.dispatch(hydrate(JSON.parse(JSON.stringify(dehydrate(server.getState())))));
+                    return client.dispatch(loadEntity('ssrPages', factory, options));
+                })
+                .then(() => client.dispatch(loadNextPage('ssrPages')))
+                .then(() => {
+                    const entity = client.getState().entities.ssrPages;
+                    expect(entity.data).toEqual([1, 2, 3, 4]);
+                    expect(entity.pagination).toInclude({ nextCursor: null, hasMore: false });
+                })
+                .then(done)
+                .catch(done);
+        });
+    });
+});
@@ -2,9 +2,16 @@
 
 const expect = require('expect');
 const configureStore = require('redux-mock-store').default;
+const { createStore, combineReducers, applyMiddleware } = require('redux');
 const thunk = require('redux-thunk').default;
 const loadEntity = require('../../src/thunk');
+const cancelEntity = require('../../src/cancel');
+const EntitySchema = require('../../src/schema');
+const reducer = require('../../src/reducer');
 const CONST = require('../../src/common/entity-const');
+const { getActionTypes } = require('../../src/common/action-types');
+const { addGlobalProcessor } = require('../../src/common/global-processors');
+const { TimeoutError } = require('../../src/common/errors');
 
 const ACTION_TYPES = CONST.ACTION_TYPES;
 const STAGES = CONST.PROCESSOR_STAGE;
@@ -28,7 +35,8 @@ describe('Thunk Action Creators', () => {
                 const promise = Promise.resolve(data);
 
                 const expectedFetch = {
-                    type: ACTION_TYPES.FETCH_REQUEST,
+                    type     : ACTION_TYPES.FETCH_REQUEST,
+                    requestId: undefined,           // Overwrite this in assertion
                     entity
                 };
 
@@ -37,7 +45,8 @@ describe('Thunk Action Creators', () => {
                     lastUpdated: undefined,         // Overwrite this in assertion
                     entity,
                     data,
-                    append     : false
+                    append     : false,
+                    requestId  : undefined          // Overwrite this in assertion
                 };
 
                 // Under test
@@ -51,6 +60,8 @@ describe('Thunk Action Creators', () => {
 
                     // Asset FETCH_REQUEST was well-formed
                     const request = actions[0];
+                    expect(request.requestId).toBeA('number');
+                    expectedFetch.requestId = request.requestId;
                     expect(request).toEqual(expectedFetch);
 
                     // Assert timestamp is present and valid
@@ -62,6 +73,9 @@ describe('Thunk Action Creators', () => {
                     // Force timestamps to match for easier assertion
                     expectedSuccess.lastUpdated = success.lastUpdated;
 
+                    // Assert the response carries the id of its request
+                    expectedSuccess.requestId = request.requestId;
+
                     // Assert FETCH_SUCCESS was well-formed
                     expect(success).toEqual(expectedSuccess);
                 })
@@ -75,7 +89,8 @@ describe('Thunk Action Creators', () => {
                 const promise = Promise.reject(error);
 
                 const expectedRequest = {
-                    type: ACTION_TYPES.FETCH_REQUEST,
+                    type     : ACTION_TYPES.FETCH_REQUEST,
+                    requestId: undefined,           // Overwrite this in assertion
                     entity
                 };
 
@@ -83,7 +98,8 @@ describe('Thunk Action Creators', () => {
                     type       : ACTION_TYPES.FETCH_FAILURE,
                     lastUpdated: undefined,         // Overwrite this in assertion
                     entity,
-                    error
+                    error,
+                    requestId  : undefined          // Overwrite this in assertion
                 };
 
                 // Under test
@@ -99,6 +115,7 @@ describe('Thunk Action Creators', () => {
 
                     // Asset FETCH_REQUEST was well-formed
                     const request = actions[0];
+                    expectedRequest.requestId = request.requestId;
                     expect(request).toEqual(expectedRequest);
 
                     // Assert timestamp is present and valid
@@ -108,6 +125,7 @@ describe('Thunk Action Creators', () => {
 
                     // Force timestamps to match for easier assertion
                     expectedFailure.lastUpdated = failure.lastUpdated;
+                    expectedFailure.requestId = request.requestId;
 
                     // Assert FETCH_FAILURE was well-formed
                     expect(failure).toEqual(expectedFailure);
@@ -126,7 +144,8 @@ describe('Thunk Action Creators', () => {
                     lastUpdated: undefined,         // Overwrite this in assertion
                     entity,
                     data,
-                    append     : false
+                    append     : false,
+                    requestId  : undefined          // Overwrite this in assertion
                 };
 
                 const configOptions = { silent: true };
@@ -147,6 +166,7 @@ describe('Thunk Action Creators', () => {
 
                     // Force timestamps to match for easier assertion
                     expectedSuccess.lastUpdated = success.lastUpdated;
+                    expectedSuccess.requestId = success.requestId;
 
                     // Assert FETCH_SUCCESS was well-formed
                     expect(success).toEqual(expectedSuccess);
@@ -155,6 +175,371 @@ describe('Thunk Action Creators', () => {
                 .catch(done);
             });
         });
+        describe('when loadEntity() is configured with a schema', () => {
+            it('should dispatch the normalized result along with its tables', (done) => {
+                const customer = new EntitySchema('customers');
+                const order = new EntitySchema('orders', { customer });
+                const data = [{ id: 1, customer: { id: 7 } }];
+
+                // Under test
+                store.dispatch(
+                    loadEntity(entity, Promise.resolve(data), { schema: [order] })
+                )
+                .then(() => {
+                    const success = store.getActions()[1];
+                    expect(success.data).toEqual([1]);
+                    expect(success.tables).toEqual({
+                        orders   : { byId: { 1: { id: 1, customer: 7 } }, allIds: [1] },
+                        customers: { byId: { 7: { id: 7 } }, allIds: [7] }
+                    });
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured to append', () => {
+            it('should dispatch FETCH_SUCCESS with the idAttribute to merge records by', (done) => {
+                // Under test
+                store.dispatch(
+                    loadEntity(entity, Promise.resolve([{ orderId: 1 }]), { append: true, idAttribute: 'orderId' })
+                )
+                .then(() => {
+                    const success = store.getActions()[1];
+                    expect(success.append).toEqual(true);
+                    expect(success.idAttribute).toEqual('orderId');
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured to keep data on error', () => {
+            it('should dispatch FETCH_FAILURE flagged to keep the previous data', (done) => {
+                const error = new Error('foo');
+
+                // Under test
+                store.dispatch(
+                    loadEntity(entity, Promise.reject(error), { keepDataOnError: true })
+                )
+                .then(() => {
+                    const failure = store.getActions()[1];
+                    expect(failure.type).toEqual(ACTION_TYPES.FETCH_FAILURE);
+                    expect(failure.error).toBe(error);
+                    expect(failure.keepData).toEqual(true);
+                })
+                .then(done)
+                .catch(done);
+            });
+        });
+        describe('when loadEntity() is passed a promise factory', () => {
+            it('should invoke the factory on dispatch with an abort signal', (done) => {
+                const factory = expect.createSpy().andReturn(Promise.resolve('foo'));
+                const thunk = loadEntity(entity, factory);
+
+                expect(factory).toNotHaveBeenCalled();
+
+                // Under test
+                store.dispatch(thunk)
+                    .then(() => {
+                        expect(factory.calls.length).toEqual(1);
+                        expect(factory.calls[0].arguments[0].aborted).toEqual(false);
+                        expect(store.getActions()[1].data).toEqual('foo');
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should dispatch FETCH_FAILURE if the factory throws', (done) => {
+                const error = new Error('foo');
+
+                // Under test
+                store.dispatch(loadEntity(entity, () => { throw error; }))
+                    .then(() => {
+                        expect(store.getActions()[1].type).toEqual(ACTION_TYPES.FETCH_FAILURE);
+                        expect(store.getActions()[1].error).toBe(error);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured to retry', () => {
+            it('should re-invoke the factory and dispatch FETCH_RETRY before succeeding', (done) => {
+                let calls = 0;
+                const factory = () => ++calls < 3 ? Promise.reject(new Error('foo')) : Promise.resolve('bar');
+
+                // Under test
+                store.dispatch(loadEntity(entity, factory, { retry: { attempts: 3, delay: 1 } }))
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(calls).toEqual(3);
+                        expect(actions.map(action => action.type)).toEqual([
+                            ACTION_TYPES.FETCH_REQUEST,
+                            ACTION_TYPES.FETCH_RETRY,
+                            ACTION_TYPES.FETCH_RETRY,
+                            ACTION_TYPES.FETCH_SUCCESS
+                        ]);
+                        expect(actions[1].retryCount).toEqual(1);
+                        expect(actions[2].retryCount).toEqual(2);
+                        expect(actions[2].nextRetryAt).toBeA('number');
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should dispatch FETCH_FAILURE once shouldRetry declines', (done) => {
+                const error = new Error('foo');
+                const factory = expect.createSpy().andCall(() => Promise.reject(error));
+                const retry = { attempts: 3, delay: 1, shouldRetry: () => false };
+
+                // Under test
+                store.dispatch(loadEntity(entity, factory, { retry }))
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(factory.calls.length).toEqual(1);
+                        expect(actions.length).toEqual(2);
+                        expect(actions[1].type).toEqual(ACTION_TYPES.FETCH_FAILURE);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should throw an error when passed a promise instead of a factory', () => {
+                expect(() => {
+                    loadEntity(entity, Promise.resolve(), { retry: { attempts: 1 } });
+                }).toThrow('Retry requires a promise factory');
+            });
+        });
+        describe('when loadEntity() is configured with a timeout', () => {
+            it('should dispatch FETCH_FAILURE with a TimeoutError, and ignore a late resolution', (done) => {
+                const promise = new Promise(resolve => setTimeout(() => resolve('late'), 20));
+
+                // Under test
+                store.dispatch(loadEntity(entity, promise, { timeout: 5 }))
+                    .then(() => promise)
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(actions.length).toEqual(2);
+                        expect(actions[1].type).toEqual(ACTION_TYPES.FETCH_FAILURE);
+                        expect(actions[1].error).toBeA(TimeoutError);
+                        expect(actions[1].error).toInclude({ name: 'TimeoutError', timeout: 5 });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should give each retry its own time limit', (done) => {
+                let calls = 0;
+                const factory = () => (++calls < 2 ? new Promise(() => {}) : Promise.resolve('bar'));
+
+                // Under test
+                store.dispatch(loadEntity(entity, factory, { timeout: 5, retry: { attempts: 1, delay: 1 } }))
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(actions[1].type).toEqual(ACTION_TYPES.FETCH_RETRY);
+                        expect(actions[1].error).toBeA(TimeoutError);
+                        expect(actions[2]).toInclude({ type: ACTION_TYPES.FETCH_SUCCESS, data: 'bar' });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should throw an error when timeout is not a positive number', () => {
+                expect(() => loadEntity(entity, Promise.resolve(), { timeout: '5s' })).toThrow(/timeout must be a positive number/);
+            });
+        });
+        describe('when loadEntity() is configured with staleTime or ttl', () => {
+            let lastUpdated;
+            beforeEach(() => {
+                lastUpdated = Date.now() - 2000;
+                store = mockStore({
+                    entities: {
+                        [entity]: { data: 'cached', lastUpdated, isStale: false }
+                    }
+                });
+            });
+            it('should skip the load while the entity is fresh', (done) => {
+                const factory = expect.createSpy();
+
+                // Under test
+                store.dispatch(loadEntity(entity, factory, { staleTime: 5000 }))
+                    .then(() => {
+                        expect(factory).toNotHaveBeenCalled();
+                        expect(store.getActions()).toEqual([]);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should handle the rejection of a started promise whose load is skipped', (done) => {
+                const onUnhandled = expect.createSpy();
+                process.on('unhandledRejection', onUnhandled);
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.reject(new Error('foo')), { staleTime: 5000 }))
+                    .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+                    .then(() => {
+                        process.removeListener('unhandledRejection', onUnhandled);
+                        expect(onUnhandled).toNotHaveBeenCalled();
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should revalidate silently while the entity is within its ttl', (done) => {
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { staleTime: 1000, ttl: 5000 }))
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(actions.length).toEqual(1);
+                        expect(actions[0].type).toEqual(ACTION_TYPES.FETCH_SUCCESS);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should load once the entity has expired', (done) => {
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { staleTime: 1000 }))
+                    .then(() => {
+                        expect(store.getActions().length).toEqual(2);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should load a fresh entity that was invalidated', (done) => {
+                store = mockStore({
+                    entities: {
+                        [entity]: { data: 'cached', lastUpdated, isStale: true }
+                    }
+                });
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { staleTime: 5000 }))
+                    .then(() => {
+                        expect(store.getActions().length).toEqual(2);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should load a fresh entity when forced', (done) => {
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { staleTime: 5000, force: true }))
+                    .then(() => {
+                        expect(store.getActions().length).toEqual(2);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured with a namespace', () => {
+            it('should dispatch the action types of that namespace', (done) => {
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { namespace: 'admin' }))
+                    .then(() => {
+                        const types = getActionTypes('admin');
+                        expect(store.getActions().map(action => action.type)).toEqual([
+                            types.FETCH_REQUEST,
+                            types.FETCH_SUCCESS
+                        ]);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should read freshness from the configured mount point', (done) => {
+                store = mockStore({
+                    admin: { [entity]: { data: 'cached', lastUpdated: Date.now(), isStale: false } }
+                });
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve('foo'), { mountPoint: 'admin', staleTime: 5000 }))
+                    .then(() => {
+                        expect(store.getActions()).toEqual([]);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured to dedupe', () => {
+            it('should reuse the in-flight promise', (done) => {
+                const factory = expect.createSpy().andReturn(Promise.resolve('foo'));
+
+                // Under test
+                const first = store.dispatch(loadEntity(entity, factory, { dedupe: true }));
+                const second = store.dispatch(loadEntity(entity, factory, { dedupe: true }));
+
+                expect(second).toBe(first);
+                first
+                    .then(() => {
+                        expect(factory.calls.length).toEqual(1);
+                        expect(store.getActions().length).toEqual(2);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should handle the rejection of a started promise that is not used', (done) => {
+                const onUnhandled = expect.createSpy();
+                process.on('unhandledRejection', onUnhandled);
+
+                // Under test
+                const first = store.dispatch(loadEntity(entity, Promise.resolve('foo'), { dedupe: true }));
+                store.dispatch(loadEntity(entity, Promise.reject(new Error('foo')), { dedupe: true }));
+
+                first
+                    .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+                    .then(() => {
+                        process.removeListener('unhandledRejection', onUnhandled);
+                        expect(onUnhandled).toNotHaveBeenCalled();
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should not reuse the in-flight promise of another store', (done) => {
+                const otherStore = mockStore({});
+                const factory = expect.createSpy().andReturn(Promise.resolve('foo'));
+
+                // Under test
+                const first = store.dispatch(loadEntity(entity, factory, { dedupe: true }));
+                const second = otherStore.dispatch(loadEntity(entity, factory, { dedupe: true }));
+
+                expect(second).toNotBe(first);
+                Promise.all([first, second])
+                    .then(() => {
+                        expect(factory.calls.length).toEqual(2);
+                        expect(otherStore.getActions()[1]).toInclude({ type: ACTION_TYPES.FETCH_SUCCESS, data: 'foo' });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
+        describe('when cancelEntity() is dispatched during a load', () => {
+            it('should abort the request and drop its result', (done) => {
+                let signal;
+                const factory = (abortSignal) => {
+                    signal = abortSignal;
+                    return Promise.resolve('foo');
+                };
+
+                // Under test
+                const promise = store.dispatch(loadEntity(entity, factory));
+                store.dispatch(cancelEntity(entity));
+
+                expect(signal.aborted).toEqual(true);
+                promise
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(actions.length).toEqual(2);
+                        expect(actions[1].type).toEqual(ACTION_TYPES.CANCEL_ENTITY);
+                        expect(actions[1].requestId).toBeGreaterThan(actions[0].requestId);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should not cancel the load of another store', (done) => {
+                const otherStore = mockStore({});
+
+                // Under test
+                const promise = store.dispatch(loadEntity(entity, Promise.resolve('foo')));
+                otherStore.dispatch(cancelEntity(entity));
+
+                promise
+                    .then(() => {
+                        expect(store.getActions()[1]).toInclude({ type: ACTION_TYPES.FETCH_SUCCESS, data: 'foo' });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
         describe('when loadEntity() is configured with stage processors', () => {
             it('Stage BEFORE_SUCCESS', (done) => {
                 const beforeSuccess = {
@@ -254,6 +639,184 @@ describe('Thunk Action Creators', () => {
                     .catch(done);
             });
         });
+        describe('when loadEntity() is configured with async or transforming processors', () => {
+            it('should wait for each processor in order', (done) => {
+                const calls = [];
+                const processors = {
+                    [STAGES.BEFORE_SUCCESS]: () => new Promise(resolve => setTimeout(() => {
+                        calls.push('beforeSuccess');
+                        resolve();
+                    }, 5)),
+                    [STAGES.AFTER_SUCCESS]: () => {
+                        calls.push('afterSuccess');
+                    }
+                };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve({}), { processors }))
+                    .then(() => {
+                        expect(calls).toEqual(['beforeSuccess', 'afterSuccess']);
+                        expect(store.getActions()[1].type).toEqual(ACTION_TYPES.FETCH_SUCCESS);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should store the data returned by the transform stage', (done) => {
+                const processors = {
+                    [STAGES.TRANSFORM]: (dispatch, data) => Promise.resolve(data.items)
+                };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve({ items: [1, 2] }), { processors }))
+                    .then(() => {
+                        expect(store.getActions()[1].data).toEqual([1, 2]);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should store the error returned by the transformError stage', (done) => {
+                const processors = {
+                    [STAGES.TRANSFORM_ERROR]: (dispatch, error) => ({ message: error.message })
+                };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.reject(new Error('foo')), { processors }))
+                    .then(() => {
+                        expect(store.getActions()[1].error).toEqual({ message: 'foo' });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should settle the request without storing the data when beforeSuccess returns false', (done) => {
+                const afterSuccess = expect.createSpy();
+                const processors = {
+                    [STAGES.BEFORE_SUCCESS]: () => Promise.resolve(false),
+                    [STAGES.AFTER_SUCCESS] : afterSuccess
+                };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve({}), { processors }))
+                    .then(() => {
+                        const actions = store.getActions();
+                        expect(actions.length).toEqual(2);
+                        expect(actions[1].type).toEqual(ACTION_TYPES.CANCEL_ENTITY);
+                        expect(afterSuccess).toNotHaveBeenCalled();
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+        });
+        describe('when loadEntity() is configured with processors that read the context', () => {
+            it('should pass the request context to every stage', (done) => {
+                const spy = expect.createSpy();
+                const options = { silent: true, processors: { [STAGES.AFTER_SUCCESS]: spy } };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve({}), options))
+                    .then(() => {
+                        const context = spy.calls[0].arguments[2];
+                        expect(context).toInclude({ stage: STAGES.AFTER_SUCCESS, entityName: entity, options });
+                        expect(context.getState()).toBe(getState);
+                        expect(context.requestId).toBeA('number');
+                        expect(context.duration).toEqual(context.settledAt - context.startedAt);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should run global processors after the entity\'s own, for every entity', (done) => {
+                const calls = [];
+                const unregister = addGlobalProcessor(STAGES.AFTER_FAILURE, (dispatch, error, { entityName }) => {
+                    calls.push(`global:${entityName}`);
+                });
+                const processors = { [STAGES.AFTER_FAILURE]: () => calls.push('own') };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.reject(new Error('foo')), { processors }))
+                    .then(() => store.dispatch(loadEntity('otherEntity', Promise.reject(new Error('bar')))))
+                    .then(() => {
+                        unregister();
+                        return store.dispatch(loadEntity(entity, Promise.reject(new Error('baz'))));
+                    })
+                    .then(() => {
+                        expect(calls).toEqual(['own', `global:${entity}`, 'global:otherEntity']);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should throw an error when registering a global processor for an unknown stage', () => {
+                expect(() => addGlobalProcessor('duringSuccess', () => {})).toThrow(/Unknown processor stage/);
+            });
+        });
+        describe('when a processor throws', () => {
+            it('should dispatch PROCESSOR_ERROR instead of FETCH_FAILURE, and reject', (done) => {
+                const error = new Error('foo');
+                const processors = { [STAGES.AFTER_SUCCESS]: () => { throw error; } };
+
+                // Under test
+                store.dispatch(loadEntity(entity, Promise.resolve({}), { processors }))
+                    .then(() => done(new Error('Expected the thunk to reject')), (rejection) => {
+                        const actions = store.getActions();
+                        expect(rejection).toBe(error);
+                        expect(actions.map(action => action.type))
+                            .toEqual([ACTION_TYPES.FETCH_REQUEST, ACTION_TYPES.FETCH_SUCCESS, ACTION_TYPES.PROCESSOR_ERROR]);
+                        expect(actions[2]).toInclude({ error, stage: STAGES.AFTER_SUCCESS, entity });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should pass errors thrown while dispatching to onProcessorError', (done) => {
+                const error = new Error('foo');
+                const onProcessorError = expect.createSpy();
+                let failing = true;
+                const dispatch = (action) => {
+                    if (action.type === ACTION_TYPES.FETCH_SUCCESS && failing) {
+                        failing = false;
+                        throw error;
+                    }
+                    return store.dispatch(action);
+                };
+
+                // Under test
+                loadEntity(entity, Promise.resolve({}), { onProcessorError })(dispatch, store.getState)
+                    .then(() => {
+                        const processorError = store.getActions()[1];
+                        expect(processorError).toInclude({ type: ACTION_TYPES.PROCESSOR_ERROR, error, stage: null });
+                        expect(onProcessorError).toHaveBeenCalled();
+                        expect(onProcessorError.calls[0].arguments[0]).toBe(error);
+                        expect(onProcessorError.calls[0].arguments[1]).toInclude({ entityName: entity });
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should release the request when dispatching FETCH_REQUEST throws', (done) => {
+                const error = new Error('foo');
+                const onProcessorError = expect.createSpy();
+                const factory = expect.createSpy().andCall(() => Promise.resolve(['bar']));
+                const realStore = createStore(combineReducers({ entities: reducer }), applyMiddleware(thunk));
+                const unsubscribe = realStore.subscribe(() => {
+                    unsubscribe();
+                    throw error;
+                });
+
+                // Under test
+                realStore.dispatch(loadEntity('subscribedOrders', factory, { dedupe: true, onProcessorError }))
+                    .then(() => {
+                        expect(factory).toNotHaveBeenCalled();
+                        expect(onProcessorError.calls[0].arguments[0]).toBe(error);
+                        expect(realStore.getState().entities.subscribedOrders).toInclude({ isFetching: false, status: 'idle' });
+                        return realStore.dispatch(loadEntity('subscribedOrders', factory, { dedupe: true }));
+                    })
+                    .then(() => {
+                        expect(factory.calls.length).toEqual(1);
+                        expect(realStore.getState().entities.subscribedOrders.data).toEqual(['bar']);
+                    })
+                    .then(done)
+                    .catch(done);
+            });
+            it('should throw an error when onProcessorError is not a function', () => {
+                expect(() => loadEntity(entity, Promise.resolve(), { onProcessorError: true })).toThrow(/onProcessorError must be a function/);
+            });
+        });
         describe('when loadEntity() is passed invalid arguments', () => {
             it('should throw an error when passed no arguments', () => {
                 expect(() => {